@@ -2,11 +2,66 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import admin from "firebase-admin";
-import Groq from "groq-sdk";
+import {
+  createIntentExtractorFromEnv,
+  extractIntent,
+  refineIntent,
+  clarificationFor,
+} from "./service/intentExtractor.js";
+import { createSessionStore, ownsSession } from "./service/searchSessions.js";
+import { createQueryCacheFromEnv, normalizeCacheKey } from "./service/queryCache.js";
+import { rankWithRelaxation } from "./service/searchRelaxation.js";
+import { parsePagination, paginate } from "./service/pagination.js";
+import { compareRanked, compareByDistance, compareByRating } from "./service/searchRanking.js";
+import { toCoords, DEFAULT_NEAR_ME_RADIUS_KM, MIN_RADIUS_KM, MAX_RADIUS_KM } from "./service/geo.js";
+import {
+  zonedNow,
+  resolveDay,
+  resolveSlot,
+  parseTimeOfDay,
+  isIsoDate,
+} from "./service/dateTime.js";
+import { applyAvailability } from "./service/availability.js";
+import { searchEventSpaces, compareEventSpaces } from "./service/eventSearch.js";
+import {
+  rebuildFullIndex,
+  rebuildRestaurantIndex,
+  watchSourceCollections,
+  SOURCE_COLLECTIONS,
+} from "./service/searchIndexer.js";
+import { createSearchEngine, syncSearchEngine } from "./service/searchEngine.js";
+import { resolveSearchTerms } from "./service/synonyms.js";
+import { createProfileLoader } from "./service/restaurantProfile.js";
+import { sanitizeQuery } from "./service/inputGuard.js";
+import { createRateLimiterFromEnv } from "./service/rateLimit.js";
+import {
+  listOwnDocs,
+  createOwnDoc,
+  updateOwnDoc,
+  deleteOwnDoc,
+} from "./service/restaurantManagement.js";
+import { HttpError } from "./service/httpError.js";
+import { POLICIES, canAccessReservation, corsOptionsFromEnv, createAuthenticatorFromEnv } from "./service/auth.js";
+import {
+  createReservation,
+  getReservation,
+  modifyReservation,
+  cancelReservation,
+} from "./service/reservationService.js";
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Browser origins allowed to call the API: CORS_ORIGINS, any when unset
+const CORS_OPTIONS = corsOptionsFromEnv();
+app.use(cors(CORS_OPTIONS));
+console.log("🌐 CORS origins:", CORS_OPTIONS.allowlist.length ? CORS_OPTIONS.allowlist.join(", ") : "any");
+// Search bodies are a sentence and a few options; nothing legitimate is bigger
+app.use(express.json({ limit: "16kb" }));
+// Behind a proxy (Render, a load balancer) req.ip must come from X-Forwarded-For,
+// or every client shares the proxy's rate limit. TRUST_PROXY: "true", a hop count or subnets.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
 
 // ---------------------
 // 🔥 GLOBAL CACHES
@@ -17,7 +72,9 @@ let RESTAURANT_CACHE = {
   ttl: 5 * 60 * 1000, // 5 minutes cache
 };
 
-const AI_QUERY_CACHE = new Map(); // Natural language cache
+const SEARCH_SESSIONS = createSessionStore({
+  ttlMs: Number(process.env.SEARCH_SESSION_TTL_MS) || undefined,
+});
 
 // ---------------------
 // Firebase
@@ -36,51 +93,44 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
-// ---------------------
-// Groq AI
-// ---------------------
-if (!process.env.GROQ_API_KEY) {
-  console.error("Missing GROQ_API_KEY env var");
-  process.exit(1);
-}
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+// Natural language cache: bounded LRU with TTL, optionally shared via AI_CACHE_BACKEND
+const AI_QUERY_CACHE = createQueryCacheFromEnv(db);
+console.log("🗄️ AI query cache backend:", AI_QUERY_CACHE.stats().backend);
+
+// Firebase ID token (Authorization: Bearer) → req.user = { uid, role }, for every route;
+// each route then states its policy (public, customer, owner)
+const AUTHENTICATE = createAuthenticatorFromEnv(db, admin.auth());
+app.use(AUTHENTICATE);
+console.log("🔐 Auth verifier:", AUTHENTICATE.verifier.name);
+
+// Per-user (or per-IP) limit on the routes that can reach the LLM
+const AI_RATE_LIMITER = createRateLimiterFromEnv(db);
+console.log("🚦 AI rate limit store:", AI_RATE_LIMITER.store.name);
+
+// Profile pages are public and each miss reads every source collection: own, larger budget
+const PROFILE_RATE_LIMIT = 120;
+const PROFILE_RATE_LIMITER = createRateLimiterFromEnv(db, process.env, {
+  scope: "profile",
+  limit: Number(process.env.PROFILE_RATE_LIMIT) || PROFILE_RATE_LIMIT,
+});
+const loadRestaurantProfile = createProfileLoader(db);
 
 // ---------------------
-// HELPERS
+// Intent extraction (Groq / OpenAI-compatible LLM, rule-based fallback)
 // ---------------------
-const normalize = (s) =>
-  s ? String(s).toLowerCase().trim().replace(/_/g, " ") : "";
-
-function safeParseJSON(maybe) {
-  if (!maybe || typeof maybe !== "string") return {};
-  try {
-    return JSON.parse(maybe);
-  } catch {
-    const match = maybe.match(/{[\s\S]*}/);
-    try {
-      return match ? JSON.parse(match[0]) : {};
-    } catch {
-      return {};
-    }
-  }
-}
-
-function parseTimestamp(val) {
-  if (!val) return null;
-  if (typeof val.toDate === "function") return val.toDate();
-  const d = new Date(val);
-  return isNaN(d.getTime()) ? null : d;
-}
-
-function extractPeopleFromText(text = "") {
-  const match = text.match(/\b(\d{1,2})\s*(people|persons|guests|pax)\b/i);
-  return match ? Number(match[1]) : null;
-}
+const intentExtractor = createIntentExtractorFromEnv();
+console.log(
+  intentExtractor.provider
+    ? `🧠 Intent extraction via ${intentExtractor.provider.name} (rule-based fallback)`
+    : "🧠 No LLM configured — intent extraction is rule-based"
+);
 
 // ---------------------
 // CACHED FIRESTORE LOADER
 // ---------------------
-async function loadAllCollectionsByUserId() {
+// `strict`: a failed collection read rejects instead of counting as empty. The
+// full index rebuild needs it, or a missing `users` read would delete every entry.
+async function loadAllCollectionsByUserId({ strict = false } = {}) {
   const now = Date.now();
   if (RESTAURANT_CACHE.data && now - RESTAURANT_CACHE.timestamp < RESTAURANT_CACHE.ttl) {
     console.log("🔥 USING FIRESTORE CACHE");
@@ -89,14 +139,18 @@ async function loadAllCollectionsByUserId() {
 
   console.log("📦 FETCHING ALL DATA FROM FIRESTORE");
 
-  const collections = [
-    "users", "restaurantcuisine", "amenities", "mealtimes", "offers",
-    "tables", "experiences", "menuItems", "openingHours", "reviews",
-    "sections", "extrareserves", "coverimage", "logoimage"
-  ];
+  const collections = SOURCE_COLLECTIONS;
 
+  const failed = [];
   const snaps = await Promise.all(
-    collections.map(col => db.collection(col).get().catch(() => ({ docs: [] })))
+    collections.map(col =>
+      db.collection(col).get().catch(err => {
+        if (strict) throw err;
+        console.warn(`⚠️ Could not read ${col}:`, err.message);
+        failed.push(col);
+        return { docs: [] };
+      })
+    )
   );
 
   const maps = {};
@@ -122,358 +176,612 @@ async function loadAllCollectionsByUserId() {
     maps[uid].users.push({ id: uid, ...data });
   }
 
-  RESTAURANT_CACHE = { data: maps, timestamp: now, ttl: RESTAURANT_CACHE.ttl };
+  // A partial load is served once but not cached, so the next request reads again
+  if (!failed.length) RESTAURANT_CACHE = { data: maps, timestamp: now, ttl: RESTAURANT_CACHE.ttl };
   return maps;
 }
 
 // ---------------------
-// BUILD RESTAURANT PROFILE
+// RESERVATIONS (always fresh — never cached)
 // ---------------------
-function buildRestaurantProfile(userId, bucket) {
-  const userDoc = bucket.users?.[0] || {};
-  const cuisineDoc = bucket.restaurantcuisine?.[0] || {};
-  const cuisines = cuisineDoc.cuisines || [];
-
-  let averageCost = Number(userDoc.averageCost || userDoc.averagecost || 0);
-  const menu = bucket.menuItems || [];
-  if (!averageCost && menu.length) {
-    const prices = menu.map((m) => Number(m.price || 0)).filter(Boolean);
-    if (prices.length)
-      averageCost = Math.round(prices.reduce((a, b) => a + b, 0) / prices.length);
+async function loadReservationsByRestaurant(date) {
+  const snap = await db.collection("reservations").where("date", "==", date).get();
+  const byRestaurant = {};
+  for (const d of snap.docs) {
+    const data = d.data();
+    if (!data.restaurantId) continue;
+    byRestaurant[data.restaurantId] = byRestaurant[data.restaurantId] || [];
+    byRestaurant[data.restaurantId].push({ id: d.id, ...data });
   }
-
-  const offers = (bucket.offers || []).map((o) => ({
-    id: o.id,
-    name: o.name,
-    price: o.price,
-    from: parseTimestamp(o.dateFrom),
-    to: parseTimestamp(o.dateTo),
-  }));
-
-  const coverImageDoc = (bucket.coverimage || []).find(img => img.userId === userId);
-  const logoImageDoc = (bucket.logoimage || []).find(img => img.userId === userId);
-  const coverImage = coverImageDoc?.coverImageUrl;
-  const logoImage = logoImageDoc?.logoImageUrl;
-
-  const image = coverImage || logoImage || "";
-
-  return {
-    id: userId,
-    restaurantName: userDoc.restaurantName || "",
-    location: userDoc.location || "",
-    cuisines,
-    averageCost,
-    offers,
-    image,
-    tables: bucket.tables || [],
-    extrareserves: bucket.extrareserves || [],
-    raw: { userDoc, tables: bucket.tables || [], extrareserves: bucket.extrareserves || [] },
-  };
+  return byRestaurant;
 }
 
 // ---------------------
 // BUILD SEARCH INDEX
 // ---------------------
-async function buildRestaurantsSearchIndex() {
+async function buildRestaurantsSearchIndex({ fresh = false } = {}) {
   console.log("🔄 Building restaurants_search index...");
-  const byUser = await loadAllCollectionsByUserId();
-  const batch = db.batch();
-  let count = 0;
-
-  for (const [uid, bucket] of Object.entries(byUser)) {
-    const user = bucket.users?.[0];
-    if (!user || user.role !== "hotel") continue;
-
-    const restaurantName = user.restaurantName || "";
-    const location = user.location || "";
-
-    const cuisines = (bucket.restaurantcuisine?.[0]?.cuisines || []).map(c => String(c).toLowerCase());
-    const image = bucket.coverimage?.[0]?.coverImageUrl || bucket.logoimage?.[0]?.logoImageUrl || "";
-    let averageCost = Number(user.averageCost || 0);
-    const menu = bucket.menuItems || [];
-    if (!averageCost && menu.length) {
-      const prices = menu.map(m => Number(m.price || 0)).filter(Boolean);
-      if (prices.length) averageCost = Math.round(prices.reduce((a,b) => a+b,0)/prices.length);
-    }
+  if (fresh) RESTAURANT_CACHE.timestamp = 0;
+  const byUser = await loadAllCollectionsByUserId({ strict: true });
+  const stats = await rebuildFullIndex(db, byUser);
+  console.log(
+    `✅ Indexed ${stats.indexed} restaurants (${stats.written} written, ${stats.unchanged} unchanged, ${stats.removed} removed)`
+  );
+  return stats;
+}
 
-    const maxSeats = (bucket.tables || []).reduce((max, t) => Math.max(max, Number(t.numSeats || 0)), 0);
-    const amenities = (bucket.amenities || []).map(a => String(a.name || a).toLowerCase());
-    const vibes = (bucket.experiences || []).map(e => String(e.name || "").toLowerCase());
-
-    const ref = db.collection("restaurants_search").doc(uid);
-    batch.set(ref, {
-      restaurantId: uid,
-      restaurantName,
-      location,
-      cuisines,
-      averageCost,
-      maxSeats,
-      image,
-      amenities,
-      vibes,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+// ---------------------
+// BUILD INDEX ON STARTUP, THEN KEEP IT IN SYNC INCREMENTALLY
+// ---------------------
+const INDEX_BUILD_ATTEMPTS = 5;
+const INDEX_BUILD_RETRY_MS = 30 * 1000;
 
-    count++;
+// The startup build, retried: without it restaurants not edited since stay stale
+async function buildInitialSearchIndex() {
+  for (let attempt = 1; attempt <= INDEX_BUILD_ATTEMPTS; attempt++) {
+    try {
+      await buildRestaurantsSearchIndex({ fresh: true });
+      console.log("✅ restaurants_search index ready");
+      return;
+    } catch (err) {
+      console.error(`❌ Failed to build search index (attempt ${attempt}/${INDEX_BUILD_ATTEMPTS}):`, err);
+      if (attempt < INDEX_BUILD_ATTEMPTS) await new Promise((r) => setTimeout(r, INDEX_BUILD_RETRY_MS * attempt));
+    }
   }
+  console.error("❌ Giving up on the startup index build; run POST /admin/search-index/rebuild");
+}
 
-  await batch.commit();
-  console.log(`✅ Indexed ${count} restaurants`);
+function initSearchIndex() {
+  console.log("🔄 Initializing restaurants_search index...");
+  let markBuilt;
+  const built = new Promise((resolve) => (markBuilt = resolve));
+
+  // Listen before the full build reads anything, so writes made while it runs
+  // are queued and applied after it instead of being missed
+  watchSourceCollections(db, {
+    startAfter: built,
+    // Availability reads the same source data through RESTAURANT_CACHE
+    onChange: (uids) => {
+      RESTAURANT_CACHE.timestamp = 0;
+      console.log("🔔 Source data changed for", uids.length, "restaurant(s)");
+    },
+    onRebuilt: (uid, status) => {
+      if (status !== "unchanged") console.log(`🔁 restaurants_search/${uid}: ${status}`);
+    },
+  });
+  console.log("👂 Listening for source changes");
+
+  buildInitialSearchIndex().finally(markBuilt);
+}
+initSearchIndex();
+
+// In-process inverted index over restaurants_search, kept in sync by a listener
+const SEARCH_ENGINE = createSearchEngine();
+const SEARCH_ENGINE_SYNC = syncSearchEngine(db, SEARCH_ENGINE);
+SEARCH_ENGINE_SYNC.ready.then(() => console.log(`🔎 Search engine loaded ${SEARCH_ENGINE.size()} restaurants`));
+
+// Optional safety net on top of the listeners (diffed, so cheap on writes)
+const INDEX_REBUILD_INTERVAL_MS = Number(process.env.SEARCH_INDEX_REBUILD_INTERVAL_MS) || 0;
+if (INDEX_REBUILD_INTERVAL_MS) {
+  setInterval(() => {
+    console.log("🔁 Rebuilding restaurants_search index (periodic)...");
+    buildRestaurantsSearchIndex({ fresh: true }).catch(err => console.error("❌ Index rebuild error:", err));
+  }, INDEX_REBUILD_INTERVAL_MS);
 }
 
 // ---------------------
-// AUTO-REBUILD INDEX ON STARTUP
+// SEARCH PIPELINE (shared by /ai-search and search sessions)
 // ---------------------
-async function initSearchIndex() {
-  try {
-    console.log("🔄 Initializing restaurants_search index...");
-    await buildRestaurantsSearchIndex();
-    console.log("✅ restaurants_search index ready");
-  } catch (err) {
-    console.error("❌ Failed to build search index:", err);
+const SORT_ORDERS = {
+  relevance: compareRanked,
+  distance: compareByDistance,
+  rating: compareByRating,
+};
+
+function parseSearchOptions(body = {}) {
+  const pagination = parsePagination(body);
+  if (pagination.error) return { error: pagination.error };
+
+  const { lat, lng, radiusKm, sort = "relevance", date, time } = body;
+  const origin = toCoords(lat, lng);
+  if ((lat !== undefined || lng !== undefined) && !origin) {
+    return { error: "lat and lng must be valid coordinates" };
+  }
+  // A tiny or negative radius would score every distance 0, and relaxation never widens it
+  const requestRadiusKm = radiusKm === undefined || radiusKm === null || radiusKm === "" ? null : Number(radiusKm);
+  if (requestRadiusKm !== null && !(requestRadiusKm >= MIN_RADIUS_KM && requestRadiusKm <= MAX_RADIUS_KM)) {
+    return { error: `radiusKm must be a number between ${MIN_RADIUS_KM} and ${MAX_RADIUS_KM}` };
+  }
+  if (!Object.keys(SORT_ORDERS).includes(sort)) {
+    return { error: "sort must be \"relevance\", \"distance\" or \"rating\"" };
   }
+  if (date !== undefined && !isIsoDate(date)) {
+    return { error: "date must be YYYY-MM-DD" };
+  }
+  if (time !== undefined && parseTimeOfDay(time) === null) {
+    return { error: "time must be HH:mm" };
+  }
+
+  return { pagination, origin, requestRadiusKm, sort, date, time };
+}
+
+/**
+ * Rank restaurants_search (or event spaces) for an already-extracted intent.
+ * @returns {Promise<Object>} - Response fields, or { error } for a bad slot
+ */
+async function runSearch(intent, { pagination, origin, requestRadiusKm, sort, date, time }) {
+  // Candidates come from the in-process index, narrowed by token per intent;
+  // until its first snapshot arrives, read the collection directly
+  const engineReady = SEARCH_ENGINE_SYNC.isReady();
+  const candidates = engineReady
+    ? SEARCH_ENGINE.all()
+    : (await db.collection("restaurants_search").get()).docs.map((d) => d.data());
+  const candidatesFor = engineReady ? (i) => SEARCH_ENGINE.candidates(i) : candidates;
+  console.log("Total candidates from index:", candidates.length);
+
+  // Aliases, cuisine families, vibe synonyms and typos ("Kilimanii" → kilimani)
+  const { intent: resolved, matched } = resolveSearchTerms(
+    intent,
+    engineReady ? { areas: SEARCH_ENGINE.terms("location"), cuisines: SEARCH_ENGINE.terms("cuisine") } : {}
+  );
+  if (matched.length) console.log("🔤", matched.map((m) => m.message).join("; "));
+
+  // ----------------------------
+  // EVENT SPACES (conferences, parties, meetings, halls)
+  // ----------------------------
+  if (intent.eventType) {
+    console.log("🎪 EVENT SEARCH:", intent.eventType, "for", intent.people || "any", "people");
+    const events = searchEventSpaces(candidates, resolved);
+    const { items, nextCursor } = paginate(events, pagination, compareEventSpaces);
+
+    return {
+      type: "event_spaces",
+      matched,
+      total: events.length,
+      limit: pagination.limit,
+      ...(pagination.page && { page: pagination.page }),
+      nextCursor,
+      events: items,
+    };
+  }
+
+  // ----------------------------
+  // GEO CONTEXT (per request, never cached)
+  // ----------------------------
+  const wantsDistance = intent.nearMe || intent.radiusKm || requestRadiusKm;
+  const radiusKm =
+    requestRadiusKm || intent.radiusKm || (intent.nearMe ? DEFAULT_NEAR_ME_RADIUS_KM : null);
+  // Offers are shown (and filtered) for the day asked about, else each restaurant's today
+  const offersDate = resolveDay(date || intent.day, zonedNow());
+  const searchIntent = { ...resolved, ...(origin && { origin, radiusKm }), now: new Date(), date: offersDate };
+  const compare = SORT_ORDERS[sort];
+
+  // ----------------------------
+  // SCORING + RANKING (relaxing the intent if nothing matches)
+  // ----------------------------
+  const { restaurants: ranked, relaxed } = rankWithRelaxation(candidatesFor, searchIntent, compare);
+  console.log("After ranking:", ranked.length);
+
+  // ----------------------------
+  // AVAILABILITY (only when the query names a day, time or meal)
+  // ----------------------------
+  const today = zonedNow();
+  const slot = resolveSlot(
+    { day: date || intent.day, time: time || intent.time, mealtime: intent.mealtime },
+    today
+  );
+  if (slot && slot.date < today.date) {
+    return { error: "Requested date is in the past" };
+  }
+
+  let restaurants = ranked;
+  let alternatives = [];
+  if (slot) {
+    const [buckets, reservationsByRestaurant] = await Promise.all([
+      loadAllCollectionsByUserId(),
+      loadReservationsByRestaurant(slot.date),
+    ]);
+    ({ available: restaurants, alternatives } = applyAvailability(ranked, {
+      buckets,
+      reservationsByRestaurant,
+      people: intent.people,
+      slot,
+      notBefore: slot.date === today.date ? today.minutes : 0,
+    }));
+    console.log("After AVAILABILITY:", restaurants.length);
+  }
+
+  const { items, nextCursor } = paginate(restaurants, pagination, compare);
+  if (relaxed.length) {
+    console.log("🪜 Relaxed constraints:", relaxed.map((r) => r.constraint).join(", "));
+  }
+
+  return {
+    type: "restaurants",
+    ...(origin && { origin, radiusKm }),
+    // "near me" without coordinates: the client should ask for location
+    ...(wantsDistance && !origin && { needsLocation: true }),
+    sort,
+    ...(slot && { slot }),
+    matched,
+    relaxed,
+    total: restaurants.length,
+    limit: pagination.limit,
+    ...(pagination.page && { page: pagination.page }),
+    nextCursor,
+    // The full indexed menu and table list are too heavy for a result list;
+    // matchingDishes and tableSetup have what was asked for
+    restaurants: items.map(({ dishes, tables, ...r }) => r),
+    // Fully booked at the slot, but free at a nearby time
+    ...(slot && { alternatives: alternatives.slice(0, 10) }),
+  };
 }
-initSearchIndex();
-setInterval(() => {
-  console.log("🔁 Rebuilding restaurants_search index (periodic)...");
-  buildRestaurantsSearchIndex().catch(err => console.error("❌ Index rebuild error:", err));
-}, 10 * 60 * 1000);
 
 // ---------------------
 // AI SEARCH ROUTE
 // ---------------------
-app.post("/ai-search", async (req, res) => {
+app.post("/ai-search", POLICIES.public, AI_RATE_LIMITER, async (req, res) => {
   try {
-    const { query } = req.body;
-    if (!query || !String(query).trim()) {
-      return res.status(400).json({ error: "Query is required" });
+    const { value: query, error: queryError } = sanitizeQuery(req.body?.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
 
-    const normalizedQuery = query.toLowerCase().trim();
-    console.log("🔍 SEARCH QUERY:", normalizedQuery);
-
-    // ----------------------------
-    // Helper for normalization
-    // ----------------------------
-    const normalize = (s) =>
-      s
-        ? String(s)
-            .toLowerCase()
-            .trim()
-            .replace(/\s+/g, " ")       // collapse multiple spaces
-            .replace(/\s*,\s*/g, ",")  // remove spaces around commas
-        : "";
-
-     function normalizeCuisine(s) {
-    return s
-    ? String(s)
-        .toLowerCase()
-        .trim()
-        .replace(/_/g, " ")          // underscores → spaces
-        .replace(/\bfood\b|\bcuisine\b/g, "") // remove 'food' or 'cuisine'
-        .replace(/\s+/g, " ")        // collapse multiple spaces
-    : "";
-  }
-
-    function extractPeopleFromText(text = "") {
-      const match = text.match(/\b(?:for|number of|group of)?\s*(\d{1,3})\s*(people|persons|guests|pax)?\b/i);
-      return match ? Number(match[1]) : null;
+    const options = parseSearchOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
     }
 
+    const normalizedQuery = normalizeCacheKey(query);
+    console.log("🔍 SEARCH QUERY:", normalizedQuery);
+
     // ----------------------------
     // AI CACHE HIT
     // ----------------------------
-    if (AI_QUERY_CACHE.has(normalizedQuery)) {
-      console.log("🧠 USING AI CACHE");
-      const intent = AI_QUERY_CACHE.get(normalizedQuery);
-      let { place, cuisine, vibe, maxBudget, keywords, people } = intent;
-
-      const snap = await db.collection("restaurants_search").get();
-      let candidates = snap.docs.map((d) => d.data());
-      console.log("Total candidates from index:", candidates.length);
+    let intent = await AI_QUERY_CACHE.get(normalizedQuery);
+    const cached = Boolean(intent);
+    let intentSource = "cache";
 
+    if (cached) {
+      console.log("🧠 USING AI CACHE");
+    } else {
       // ----------------------------
-      // APPLY FILTERS
+      // NEW AI QUERY (falls back to the rule-based parser)
       // ----------------------------
-      if (place) {
-        const queryPlace = normalize(place);
-        candidates = candidates.filter((r) =>
-          normalize(r.location).includes(queryPlace)
-        );
-        console.log("After PLACE filter:", candidates.length);
-      }
-
-      /*if (cuisine) {
-        const queryCuisine = normalize(cuisine);
-        candidates = candidates.filter((r) =>
-          (r.cuisines || []).some((c) => normalize(c).includes(queryCuisine))
-        );
-        console.log("After CUISINE filter:", candidates.length);
-      }*/
-     if (cuisine) {
-     const queryCuisine = normalizeCuisine(cuisine);
-     candidates = candidates.filter((r) =>
-      (r.cuisines || []).some((c) => normalizeCuisine(c).includes(queryCuisine))
-      );
-     }
-
-
-      if (vibe) {
-  const queryVibe = normalize(vibe);
-
-  candidates = candidates.filter((r) => {
-    // Collect all text to search
-    const texts = [
-      ...(r.vibes || []),
-      ...(r.amenities || []),
-      ...(r.experiences || []).flatMap(e => [e.name || "", e.description || ""]),
-      ...(r.sections || []).map(s => s.name || "")
-    ];
-
-    // Check if any text includes the query
-    return texts.some(t => normalize(t).includes(queryVibe));
-  });
-}
+      const extracted = await extractIntent(intentExtractor, query);
+      intent = extracted.intent;
+      intentSource = extracted.source;
 
+      // SAVE TO AI CACHE (rule-based fallbacks aren't cached, so the LLM
+      // gets another go once it's back)
+      if (!extracted.fallbackReason) await AI_QUERY_CACHE.set(normalizedQuery, intent);
+    }
 
-      if (maxBudget) {
-        candidates = candidates.filter((r) => r.averageCost <= maxBudget);
-      }
+    const result = await runSearch(intent, options);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-      if (people) {
-        candidates = candidates.filter((r) => r.maxSeats >= people);
-      }
+    return res.json({
+      success: true,
+      type: result.type,
+      ...(cached && { cached: true }),
+      intent,
+      intentSource,
+      clarification: clarificationFor(intent),
+      ...result,
+    });
+  } catch (err) {
+    console.error("❌ SEARCH ERROR:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: err.message });
+  }
+});
 
-      if (keywords && Array.isArray(keywords)) {
-        const keywordsNorm = keywords.map((k) => normalize(k));
-        candidates = candidates.filter((r) => {
-          const blob = JSON.stringify(r).toLowerCase();
-          return keywordsNorm.some((k) => blob.includes(k));
-        });
-      }
+// Operational numbers, not for the public: same key as the other admin routes
+app.get("/ai-search/cache-stats", requireAdminKey, (req, res) => {
+  return res.json({ success: true, cache: AI_QUERY_CACHE.stats() });
+});
 
-      return res.json({
+// ---------------------
+// CONVERSATIONAL SEARCH SESSIONS
+// A session keeps the last intent so follow-ups ("cheaper", "what about
+// Westlands instead") refine it rather than starting over.
+// Only its creator can use it: the signed-in user, or for an anonymous
+// session the caller sending the X-Session-Token it was given.
+// ---------------------
+// Someone else's session answers as if it didn't exist, so ids can't be probed
+function loadOwnSession(req) {
+  const session = SEARCH_SESSIONS.get(req.params.id);
+  if (!session) return null;
+  return ownsSession(session, { uid: req.user?.uid, token: req.get("x-session-token") }) ? session : null;
+}
+
+async function respondWithSession(res, session, { source, fallbackReason } = {}, options, sessionToken = null) {
+  const { intent } = session;
+  const result = intent ? await runSearch(intent, options) : {};
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  return res.json({
+    success: true,
+    sessionId: session.id,
+    ...(sessionToken && { sessionToken }),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    turns: session.history.length,
+    intent,
+    ...(source && { intentSource: source }),
+    ...(fallbackReason && { fallbackReason }),
+    clarification: intent ? clarificationFor(intent) : null,
+    ...result,
+  });
+}
+
+app.post("/search-sessions", POLICIES.public, AI_RATE_LIMITER, async (req, res) => {
+  try {
+    // The first message is optional
+    const hasQuery = req.body?.query !== undefined && String(req.body.query).trim() !== "";
+    const { value: query, error: queryError } = hasQuery ? sanitizeQuery(req.body.query) : {};
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const options = parseSearchOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const session = SEARCH_SESSIONS.create({ uid: req.user?.uid });
+    console.log("💬 Session started:", session.id);
+    if (!query) {
+      return res.status(201).json({
         success: true,
-        cached: true,
-        intent,
-        total: candidates.length,
-        restaurants: candidates.slice(0, 50),
+        sessionId: session.id,
+        // Only returned here: an anonymous caller sends it back as X-Session-Token
+        ...(session.token && { sessionToken: session.token }),
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        turns: 0,
+        intent: null,
       });
     }
 
-    // ----------------------------
-    // NEW AI QUERY
-    // ----------------------------
-    const prompt = `
-You are an AI that extracts restaurant search intent.
-Extract fields if present:
-- place (area or location)
-- cuisine (food type)
-- vibe (romantic, family, chill, rooftop, etc)
-- maxBudget (number only)
-- people (number of guests — detect phrases like "for 2", "group of 5", "number of people 10")
-- keywords (any other useful words)
-Return ONLY valid JSON:
-
-{
-  "place": "",
-  "cuisine": "",
-  "vibe": "",
-  "maxBudget": null,
-  "people": null,
-  "keywords": []
-}
+    const extracted = await extractIntent(intentExtractor, query);
+    SEARCH_SESSIONS.update(session.id, { query, intent: extracted.intent, source: extracted.source });
+    res.status(201);
+    return respondWithSession(res, SEARCH_SESSIONS.get(session.id), extracted, options, session.token);
+  } catch (err) {
+    console.error("❌ SESSION ERROR:", err);
+    return res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
 
-Query: "${query}"
-`;
+// A follow-up goes through the same input guard as /ai-search before it reaches the extractor
+app.post("/search-sessions/:id/messages", POLICIES.public, AI_RATE_LIMITER, async (req, res) => {
+  try {
+    const { value: query, error: queryError } = sanitizeQuery(req.body?.query, { field: "Message" });
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const options = parseSearchOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-    const aiResp = await groq.chat.completions.create({
-      model: "llama-3.1-8b-instant",
-      messages: [{ role: "user", content: prompt }],
-    });
+    const session = loadOwnSession(req);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found or expired" });
+    }
 
-    const rawAiText = aiResp?.choices?.[0]?.message?.content || "";
-    console.log("🧠 AI RAW RESPONSE:", rawAiText);
-
-    const intent = safeParseJSON(rawAiText);
-    let place = normalize(intent.place);
-    let cuisine = normalize(intent.cuisine);
-    let vibe = normalize(intent.vibe);
-    let maxBudget = Number(intent.maxBudget) || null;
-    let people =
-      Number(intent.people) || extractPeopleFromText(query) || null;
-    let keywords = Array.isArray(intent.keywords)
-      ? intent.keywords
-      : intent.keywords
-      ? [intent.keywords]
-      : [];
-
-    // SAVE TO AI CACHE
-    AI_QUERY_CACHE.set(normalizedQuery, {
-      place,
-      cuisine,
-      vibe,
-      maxBudget,
-      people,
-      keywords,
-    });
+    // First message of an empty session is a fresh extraction
+    const extracted = session.intent
+      ? await refineIntent(intentExtractor, session.intent, query)
+      : await extractIntent(intentExtractor, query);
+    console.log("💬 Session", session.id, "turn", session.history.length + 1, "via", extracted.source);
 
-    // Fetch all candidates
-    const snap = await db.collection("restaurants_search").get();
-    let candidates = snap.docs.map((d) => d.data());
-    console.log("Total candidates from index:", candidates.length);
+    const updated = SEARCH_SESSIONS.update(session.id, { query, intent: extracted.intent, source: extracted.source });
+    return respondWithSession(res, updated, extracted, options);
+  } catch (err) {
+    console.error("❌ SESSION ERROR:", err);
+    return res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
 
-    // ----------------------------
-    // FILTERING
-    // ----------------------------
-    if (place) {
-      candidates = candidates.filter((r) =>
-        normalize(r.location).includes(place)
-      );
-    }
+app.get("/search-sessions/:id", POLICIES.public, (req, res) => {
+  const session = loadOwnSession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found or expired" });
+  }
+  return res.json({
+    success: true,
+    sessionId: session.id,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    intent: session.intent,
+    history: session.history,
+  });
+});
 
-    if (cuisine) {
-      candidates = candidates.filter((r) =>
-        (r.cuisines || []).some((c) => normalize(c).includes(cuisine))
-      );
-    }
+app.delete("/search-sessions/:id", POLICIES.public, (req, res) => {
+  if (!loadOwnSession(req) || !SEARCH_SESSIONS.delete(req.params.id)) {
+    return res.status(404).json({ error: "Session not found or expired" });
+  }
+  return res.json({ success: true });
+});
 
-    if (vibe) {
-      candidates = candidates.filter((r) =>
-        [...r.vibes, ...r.amenities].some((v) => normalize(v).includes(vibe))
-      );
-    }
+// ---------------------
+// ADMIN
+// ---------------------
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(403).json({ error: "Admin API is disabled (ADMIN_API_KEY not set)" });
+  }
+  if (req.get("x-admin-key") !== expected) {
+    return res.status(401).json({ error: "Invalid admin key" });
+  }
+  return next();
+}
 
-    if (maxBudget) {
-      candidates = candidates.filter((r) => r.averageCost <= maxBudget);
+// Full rebuild, or just one restaurant with { restaurantId }
+app.post("/admin/search-index/rebuild", requireAdminKey, async (req, res) => {
+  try {
+    const restaurantId = req.body?.restaurantId;
+    if (restaurantId) {
+      RESTAURANT_CACHE.timestamp = 0;
+      const status = await rebuildRestaurantIndex(db, String(restaurantId));
+      return res.json({ success: true, restaurantId, status });
     }
+    const stats = await buildRestaurantsSearchIndex({ fresh: true });
+    return res.json({ success: true, ...stats });
+  } catch (err) {
+    console.error("❌ INDEX REBUILD ERROR:", err);
+    return res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
 
-    if (people) {
-      candidates = candidates.filter((r) => r.maxSeats >= people);
+// ---------------------
+// RESTAURANT PROFILE (public detail page)
+// ---------------------
+app.get("/restaurants/:id", POLICIES.public, PROFILE_RATE_LIMITER, async (req, res) => {
+  try {
+    const profile = await loadRestaurantProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Restaurant not found" });
     }
+    return res.json({ success: true, restaurant: profile });
+  } catch (err) {
+    console.error("❌ PROFILE ERROR:", err);
+    return res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
 
-    if (keywords.length) {
-      const keywordsNorm = keywords.map((k) => normalize(k));
-      candidates = candidates.filter((r) => {
-        const blob = JSON.stringify(r).toLowerCase();
-        return keywordsNorm.some((k) => blob.includes(k));
-      });
-    }
+// ---------------------
+// SERVICE ERRORS
+// ---------------------
+// HttpErrors are the caller's fault and carry their status; anything else is ours
+function sendHttpError(res, err, label) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`❌ ${label} ERROR:`, err);
+  return res.status(500).json({ error: "Server error", details: err.message });
+}
 
-    return res.json({
-      success: true,
-      intent: { place, cuisine, vibe, maxBudget, people, keywords },
-      total: candidates.length,
-      restaurants: candidates.slice(0, 50),
-    });
+// ---------------------
+// OWNER MANAGEMENT (tables, menuItems, openingHours, offers, sections, extrareserves)
+// ---------------------
+// Reindex right away instead of waiting for the change listener; a failure
+// here leaves the write in place and the listener retries it
+async function refreshOwnIndex(uid) {
+  try {
+    RESTAURANT_CACHE.timestamp = 0;
+    loadRestaurantProfile.forget(uid);
+    const status = await rebuildRestaurantIndex(db, uid);
+    console.log("🔁 Reindexed after owner edit:", uid, status);
+    return status;
   } catch (err) {
-    console.error("❌ SEARCH ERROR:", err);
-    return res
-      .status(500)
-      .json({ error: "Server error", details: err.message });
+    console.error("❌ OWNER REINDEX ERROR:", err);
+    return "failed";
+  }
+}
+
+app.get("/owner/:collection", POLICIES.owner, async (req, res) => {
+  try {
+    const items = await listOwnDocs(db, req.user.uid, req.params.collection);
+    return res.json({ success: true, items });
+  } catch (err) {
+    return sendHttpError(res, err, "MANAGEMENT");
+  }
+});
+
+app.post("/owner/:collection", POLICIES.owner, async (req, res) => {
+  try {
+    const item = await createOwnDoc(db, req.user.uid, req.params.collection, req.body);
+    const index = await refreshOwnIndex(req.user.uid);
+    return res.status(201).json({ success: true, item, index });
+  } catch (err) {
+    return sendHttpError(res, err, "MANAGEMENT");
+  }
+});
+
+app.patch("/owner/:collection/:docId", POLICIES.owner, async (req, res) => {
+  try {
+    const item = await updateOwnDoc(db, req.user.uid, req.params.collection, req.params.docId, req.body);
+    const index = await refreshOwnIndex(req.user.uid);
+    return res.json({ success: true, item, index });
+  } catch (err) {
+    return sendHttpError(res, err, "MANAGEMENT");
+  }
+});
+
+app.delete("/owner/:collection/:docId", POLICIES.owner, async (req, res) => {
+  try {
+    await deleteOwnDoc(db, req.user.uid, req.params.collection, req.params.docId);
+    const index = await refreshOwnIndex(req.user.uid);
+    return res.json({ success: true, index });
+  } catch (err) {
+    return sendHttpError(res, err, "MANAGEMENT");
+  }
+});
+
+// ---------------------
+// RESERVATIONS
+// ---------------------
+// The signed-in caller must be the guest or the restaurant
+async function loadOwnReservation(req) {
+  const reservation = await getReservation(db, req.params.id);
+  if (!canAccessReservation(req.user, reservation)) {
+    throw new HttpError("Not allowed to access this reservation", 403);
+  }
+  return reservation;
+}
+
+app.post("/reservations", POLICIES.customer, async (req, res) => {
+  try {
+    // Bookings are always made for the caller
+    const reservation = await createReservation(db, { ...req.body, customerId: req.user.uid });
+    console.log("📅 Reservation created:", reservation.id, reservation.restaurantId, reservation.date, reservation.time);
+    return res.status(201).json({ success: true, reservation });
+  } catch (err) {
+    return sendHttpError(res, err, "RESERVATION");
   }
 });
 
+app.get("/reservations/:id", POLICIES.signedIn, async (req, res) => {
+  try {
+    const reservation = await loadOwnReservation(req);
+    return res.json({ success: true, reservation });
+  } catch (err) {
+    return sendHttpError(res, err, "RESERVATION");
+  }
+});
+
+app.patch("/reservations/:id", POLICIES.signedIn, async (req, res) => {
+  try {
+    await loadOwnReservation(req);
+    const reservation = await modifyReservation(db, req.params.id, req.body);
+    return res.json({ success: true, reservation });
+  } catch (err) {
+    return sendHttpError(res, err, "RESERVATION");
+  }
+});
+
+app.post("/reservations/:id/cancel", POLICIES.signedIn, async (req, res) => {
+  try {
+    await loadOwnReservation(req);
+    const reservation = await cancelReservation(db, req.params.id, req.body?.reason);
+    return res.json({ success: true, reservation });
+  } catch (err) {
+    return sendHttpError(res, err, "RESERVATION");
+  }
+});
+
+// ---------------------
+// ACCOUNT
+// ---------------------
+app.get("/me", POLICIES.signedIn, (req, res) => {
+  const { uid, email, role } = req.user;
+  return res.json({ success: true, user: { uid, email, role } });
+});
 
 // ---------------------
 app.get("/", (req, res) => res.send("✅ ReserveMe AI Search Backend (Optimized)"));
@@ -0,0 +1,205 @@
+// service/auth.js
+
+/** `users.role` of restaurant owners. */
+export const OWNER_ROLE = "hotel";
+
+/** Role of every other signed-in user. */
+export const CUSTOMER_ROLE = "customer";
+
+// How long a looked-up role is reused before reading `users` again
+const ROLE_CACHE_TTL_MS = 5 * 60 * 1000;
+const ROLE_CACHE_MAX = 5000;
+
+// ---------------------
+// VERIFIERS
+// Each one is { name, verify(idToken) → Promise<decoded token with uid> }, throwing on a bad token
+// ---------------------
+
+/**
+ * Verifies Firebase ID tokens with the Admin SDK. With
+ * FIREBASE_AUTH_EMULATOR_HOST set, the SDK accepts Auth emulator tokens instead.
+ * @param {import("firebase-admin").auth.Auth} auth - e.g. admin.auth()
+ * @param {{ checkRevoked?: boolean }} [options]
+ */
+export function createFirebaseVerifier(auth, { checkRevoked = false } = {}) {
+  return {
+    name: process.env.FIREBASE_AUTH_EMULATOR_HOST ? "firebase-emulator" : "firebase",
+    verify: (idToken) => auth.verifyIdToken(idToken, checkRevoked),
+  };
+}
+
+/**
+ * Fixed token → claims table, for tests and local development.
+ * @param {Object<string, { uid: string, role?: string }>} users - Keyed by token
+ */
+export function createStubVerifier(users = {}) {
+  return {
+    name: "stub",
+    async verify(idToken) {
+      const claims = users[idToken];
+      if (!claims?.uid) throw new Error("Unknown stub token");
+      return { ...claims };
+    },
+  };
+}
+
+// ---------------------
+// AUTHENTICATION
+// ---------------------
+
+/**
+ * The ID token of an `Authorization: Bearer <token>` header.
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+export function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Role of a user: the `role` custom claim when the token carries one,
+ * else `users/{uid}.role`. Anything but an owner is a customer.
+ * @param {string|undefined} role
+ * @returns {string}
+ */
+export const normalizeRole = (role) => (role === OWNER_ROLE ? OWNER_ROLE : CUSTOMER_ROLE);
+
+/**
+ * Reads roles from the `users` collection, caching them for a few minutes.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ ttlMs?: number, now?: () => number }} [options]
+ * @returns {(uid: string) => Promise<string|undefined>}
+ */
+export function createRoleLoader(db, { ttlMs = ROLE_CACHE_TTL_MS, now = Date.now } = {}) {
+  const cache = new Map();
+  return async (uid) => {
+    const hit = cache.get(uid);
+    if (hit && hit.expiresAt > now()) return hit.role;
+    const snap = await db.collection("users").doc(uid).get();
+    const role = snap.exists ? snap.data().role : undefined;
+    if (cache.size >= ROLE_CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(uid, { role, expiresAt: now() + ttlMs });
+    return role;
+  };
+}
+
+/**
+ * Middleware that identifies the caller without requiring sign-in: a valid
+ * token sets `req.user = { uid, email, role, token }`; a missing one leaves
+ * the request anonymous; a bad one is kept in `req.authError` so protected
+ * routes can say why they refuse it.
+ * @param {{ verifier: Object, loadRole?: (uid: string) => Promise<string|undefined> }} options
+ * @returns {Function}
+ */
+export function createAuthenticator({ verifier, loadRole = async () => undefined }) {
+  return async (req, res, next) => {
+    req.user = null;
+    const idToken = bearerToken(req);
+    if (!idToken) return next();
+
+    try {
+      const decoded = await verifier.verify(idToken);
+      const role = normalizeRole(decoded.role ?? (await loadRole(decoded.uid)));
+      req.user = { uid: decoded.uid, email: decoded.email || null, role, token: decoded };
+    } catch (err) {
+      req.authError = err.code === "auth/id-token-expired" ? "Token expired" : "Invalid token";
+    }
+    return next();
+  };
+}
+
+// ---------------------
+// POLICIES
+// ---------------------
+
+/**
+ * Route policy: only signed-in users with one of the roles (any role when none given).
+ * Answers 401 without a valid token and 403 for the wrong role.
+ * @param {...string} roles
+ * @returns {Function}
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: req.authError || "Sign-in required" });
+    }
+    if (roles.length && !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Not allowed for this account" });
+    }
+    return next();
+  };
+}
+
+/** Named policies for routes: public search, customer booking, owner management. */
+export const POLICIES = {
+  public: (req, res, next) => next(),
+  signedIn: requireRole(),
+  customer: requireRole(CUSTOMER_ROLE),
+  owner: requireRole(OWNER_ROLE),
+};
+
+/**
+ * Can the user see or change a reservation? The guest who made it and the
+ * restaurant it is at can.
+ * @param {{ uid: string, role: string }|null} user
+ * @param {Object} reservation
+ * @returns {boolean}
+ */
+export const canAccessReservation = (user, reservation) =>
+  Boolean(user) &&
+  (reservation.customerId === user.uid || (user.role === OWNER_ROLE && reservation.restaurantId === user.uid));
+
+// ---------------------
+// CORS
+// ---------------------
+
+// "https://*.example.com" matches any subdomain of example.com
+function originPattern(entry) {
+  if (!entry.includes("*")) return (origin) => origin === entry;
+  const re = new RegExp(`^${entry.split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^.]+")}$`);
+  return (origin) => re.test(origin);
+}
+
+/**
+ * `cors` options from CORS_ORIGINS (comma-separated origins, "*" wildcards
+ * for subdomains). Unset or "*" allows any origin, as before.
+ * @param {Object} [env]
+ * @returns {{ origin: boolean|Function, credentials: boolean, allowlist: string[] }}
+ */
+export function corsOptionsFromEnv(env = process.env) {
+  const allowlist = String(env.CORS_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+  if (!allowlist.length || allowlist.includes("*")) return { origin: true, credentials: false, allowlist: [] };
+
+  const matchers = allowlist.map(originPattern);
+  return {
+    // Requests without an Origin (curl, server-to-server) aren't CORS requests
+    origin: (origin, callback) => callback(null, !origin || matchers.some((m) => m(origin))),
+    credentials: true,
+    allowlist,
+  };
+}
+
+/**
+ * Build the authenticator from env. AUTH_STUB_USERS (JSON token → { uid, role })
+ * swaps in the stub verifier outside production; otherwise tokens are checked
+ * by Firebase (AUTH_CHECK_REVOKED=true also rejects revoked sessions).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {import("firebase-admin").auth.Auth} auth
+ * @param {Object} [env]
+ */
+export function createAuthenticatorFromEnv(db, auth, env = process.env) {
+  let verifier;
+  if (env.AUTH_STUB_USERS && env.NODE_ENV !== "production") {
+    verifier = createStubVerifier(JSON.parse(env.AUTH_STUB_USERS));
+  } else {
+    if (env.AUTH_STUB_USERS) console.warn("⚠️ AUTH_STUB_USERS is ignored in production");
+    verifier = createFirebaseVerifier(auth, { checkRevoked: env.AUTH_CHECK_REVOKED === "true" });
+  }
+  const middleware = createAuthenticator({ verifier, loadRole: createRoleLoader(db) });
+  middleware.verifier = verifier;
+  return middleware;
+}
@@ -0,0 +1,208 @@
+// service/availability.js
+import { weekdayOf, parseTimeOfDay, formatMinutes } from "./dateTime.js";
+import { normalizeOpeningHours, normalizeMealtimes, isOpenBetween } from "./openingHours.js";
+import { findTableSetup } from "./tableCapacity.js";
+
+/** How long a table is held for one booking. */
+export const DEFAULT_RESERVATION_MINUTES = 90;
+
+/** Spacing of the times we try when looking for a free slot. */
+export const SLOT_STEP_MINUTES = 30;
+
+/** How far either side of the requested time we look for alternatives. */
+export const ALTERNATIVE_WINDOW_MINUTES = 120;
+
+/** Used when a date is asked for but the restaurant publishes no hours. */
+const DEFAULT_DAY_WINDOW = { open: 11 * 60, close: 22 * 60 };
+
+/**
+ * Table ids a reservation holds. Supports one table or joined tables.
+ * @param {Object} reservation
+ * @returns {Array<string>}
+ */
+export const reservedTableIds = (reservation) =>
+  reservation.tableIds || (reservation.tableId ? [reservation.tableId] : []);
+
+/**
+ * @param {Object} reservation - `reservations` doc for the same date
+ * @param {number} start
+ * @param {number} end
+ * @returns {boolean}
+ */
+export function overlaps(reservation, start, end) {
+  if (reservation.status === "cancelled") return false;
+  const from = parseTimeOfDay(reservation.time);
+  if (from === null) return false;
+  const to = from + Number(reservation.durationMinutes || DEFAULT_RESERVATION_MINUTES);
+  return from < end && start < to;
+}
+
+/**
+ * Ids of tables held by a reservation overlapping [start, end).
+ * @param {Array<Object>} reservations - `reservations` docs for the date
+ * @param {number} start
+ * @param {number} end
+ * @returns {Set<string>}
+ */
+export const busyTableIds = (reservations, start, end) =>
+  new Set(reservations.filter((r) => overlaps(r, start, end)).flatMap(reservedTableIds));
+
+/**
+ * Tables that seat `people` and are free for [start, start + duration).
+ * Smallest adequate table first.
+ * @param {Array<Object>} tables - `tables` docs
+ * @param {Array<Object>} reservations - `reservations` docs for the date
+ * @param {number} people
+ * @param {number} start - Minutes since midnight
+ * @param {number} [durationMinutes]
+ * @returns {Array<Object>}
+ */
+export function findFreeTables(tables, reservations, people, start, durationMinutes = DEFAULT_RESERVATION_MINUTES) {
+  const busy = busyTableIds(reservations, start, start + durationMinutes);
+  return tables
+    .filter((t) => Number(t.numSeats || 0) >= people && !busy.has(t.id))
+    .sort((a, b) => Number(a.numSeats) - Number(b.numSeats));
+}
+
+/**
+ * The free table setup for a party at [start, start + duration): one table,
+ * or joined ones when no single table is big enough (see findTableSetup).
+ * @param {Array<Object>} tables - `tables` docs
+ * @param {Array<Object>} reservations - `reservations` docs for the date
+ * @param {number} people
+ * @param {number} start - Minutes since midnight
+ * @param {{ sections?: Array<Object>, durationMinutes?: number }} [options]
+ * @returns {Object|null}
+ */
+export function findFreeSetup(tables, reservations, people, start, { sections = [], durationMinutes = DEFAULT_RESERVATION_MINUTES } = {}) {
+  const exclude = busyTableIds(reservations, start, start + durationMinutes);
+  return findTableSetup(tables, people, { sections, exclude });
+}
+
+// Times to try for a slot: the exact time, a meal window, or the whole day
+function candidateTimes(slot, hours, meals, durationMinutes) {
+  if (slot.time) return [parseTimeOfDay(slot.time)];
+
+  let windows;
+  if (slot.mealtime) {
+    const meal = meals[slot.mealtime];
+    windows = [{ open: meal.start, close: meal.end }];
+  } else {
+    windows = hours ? hours[weekdayOf(slot.date)] : [DEFAULT_DAY_WINDOW];
+  }
+
+  const times = [];
+  for (const w of windows) {
+    // Any start inside a meal window counts; otherwise the booking must end by closing
+    const lastStart = slot.mealtime ? w.close - SLOT_STEP_MINUTES : w.close - durationMinutes;
+    for (let t = w.open; t <= lastStart; t += SLOT_STEP_MINUTES) times.push(t);
+  }
+  return times;
+}
+
+/**
+ * Check one restaurant for a free table at a slot.
+ * @param {Object} params
+ * @param {Array<Object>} params.tables - `tables` docs
+ * @param {Array<Object>} [params.sections] - `sections` docs (table-joining rules)
+ * @param {Array<Object>} params.openingHours - `openingHours` docs
+ * @param {Array<Object>} params.mealtimes - `mealtimes` docs
+ * @param {Array<Object>} params.reservations - `reservations` docs for slot.date
+ * @param {number} params.people
+ * @param {{ date: string, time: string|null, mealtime: string|null }} params.slot
+ * @param {number} [params.notBefore] - Minutes since midnight; earlier times are in the past
+ * @param {number} [params.durationMinutes]
+ * @returns {{ available: boolean, date: string, time: string|null, table: Object|null,
+ *   tableSetup: Object|null, availableTimes: Array<string>, alternativeTimes: Array<string> }}
+ *   `table` is the first table of the setup
+ */
+export function checkAvailability({
+  tables = [],
+  sections = [],
+  openingHours = [],
+  mealtimes = [],
+  reservations = [],
+  people,
+  slot,
+  notBefore = 0,
+  durationMinutes = DEFAULT_RESERVATION_MINUTES,
+}) {
+  const hours = normalizeOpeningHours(openingHours);
+  const meals = normalizeMealtimes(mealtimes);
+
+  const freeAt = (start) => {
+    if (start < notBefore) return null;
+    if (!isOpenBetween(hours, slot.date, start, start + durationMinutes)) return null;
+    return findFreeSetup(tables, reservations, people, start, { sections, durationMinutes });
+  };
+
+  const availableTimes = [];
+  let first = null;
+  for (const start of candidateTimes(slot, hours, meals, durationMinutes)) {
+    const setup = freeAt(start);
+    if (!setup) continue;
+    availableTimes.push(formatMinutes(start));
+    first = first || { start, setup };
+  }
+
+  // Exact time requested but taken: offer the nearest free times around it
+  const alternativeTimes = [];
+  if (slot.time && !first) {
+    const requested = parseTimeOfDay(slot.time);
+    for (let offset = SLOT_STEP_MINUTES; offset <= ALTERNATIVE_WINDOW_MINUTES; offset += SLOT_STEP_MINUTES) {
+      for (const start of [requested - offset, requested + offset]) {
+        if (start >= 0 && start < 24 * 60 && freeAt(start)) alternativeTimes.push(formatMinutes(start));
+      }
+      if (alternativeTimes.length >= 3) break;
+    }
+  }
+
+  return {
+    available: Boolean(first),
+    date: slot.date,
+    time: first ? formatMinutes(first.start) : null,
+    table: first ? first.setup.tables[0] : null,
+    tableSetup: first ? first.setup : null,
+    availableTimes,
+    alternativeTimes: alternativeTimes.slice(0, 3),
+  };
+}
+
+/** Party size assumed when a slot is asked for without a head count. */
+export const DEFAULT_PARTY_SIZE = 2;
+
+/**
+ * Split ranked search results into restaurants with a free table at the slot
+ * and fully booked ones that still have nearby alternative times.
+ * @param {Array<Object>} restaurants - Ranked `restaurants_search` results
+ * @param {Object} params
+ * @param {Object} params.buckets - loadAllCollectionsByUserId() output
+ * @param {Object<string, Array<Object>>} params.reservationsByRestaurant - Reservations on slot.date
+ * @param {number|null} params.people
+ * @param {Object} params.slot - From resolveSlot
+ * @param {number} [params.notBefore]
+ * @returns {{ available: Array<Object>, alternatives: Array<Object> }}
+ */
+export function applyAvailability(restaurants, { buckets, reservationsByRestaurant, people, slot, notBefore }) {
+  const available = [];
+  const alternatives = [];
+
+  for (const r of restaurants) {
+    const bucket = buckets[r.restaurantId] || {};
+    const availability = checkAvailability({
+      tables: bucket.tables,
+      sections: bucket.sections,
+      openingHours: bucket.openingHours,
+      mealtimes: bucket.mealtimes,
+      reservations: reservationsByRestaurant[r.restaurantId] || [],
+      people: people || DEFAULT_PARTY_SIZE,
+      slot,
+      notBefore,
+    });
+
+    if (availability.available) available.push({ ...r, availability });
+    else if (availability.alternativeTimes.length) alternatives.push({ ...r, availability });
+  }
+
+  return { available, alternatives };
+}
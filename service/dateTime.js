@@ -0,0 +1,239 @@
+// service/dateTime.js
+
+/** Timezone used when a restaurant doesn't declare one. */
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Nairobi";
+
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** Fallback meal windows (minutes since midnight) when a restaurant has no mealtimes docs. */
+export const DEFAULT_MEALTIMES = {
+  breakfast: { start: 7 * 60, end: 10 * 60 + 30 },
+  brunch: { start: 10 * 60, end: 14 * 60 },
+  lunch: { start: 12 * 60, end: 15 * 60 },
+  dinner: { start: 18 * 60, end: 22 * 60 },
+};
+
+/**
+ * "open after 11pm", "open till midnight": a clock time about opening hours,
+ * not the booking time. Group 1 is the time.
+ */
+export const OPENING_TIME_PATTERN =
+  /\bopen (?:after|until|till|til|past|beyond)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?|midnight)\b/;
+
+const MEALTIME_ALIASES = { supper: "dinner", tonight: "dinner", evening: "dinner" };
+
+// Building an Intl.DateTimeFormat costs far more than using one: one per timezone
+const FORMATTERS = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = FORMATTERS.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    FORMATTERS.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// One clock per `now` instance, so a request that scores thousands of
+// restaurants with the same `now` reads each timezone once
+const CLOCKS = new WeakMap();
+
+/**
+ * zonedNow for a fixed instant, remembered per timezone. Pass the same `now`
+ * object (a search's intent.now) to share the results; don't mutate it.
+ * @param {Date} [now]
+ * @returns {(timeZone?: string) => { date: string, minutes: number, weekday: number }}
+ */
+export function zonedClock(now = new Date()) {
+  let clock = CLOCKS.get(now);
+  if (!clock) {
+    const byZone = new Map();
+    clock = (timeZone = DEFAULT_TIMEZONE) => {
+      if (!byZone.has(timeZone)) byZone.set(timeZone, zonedNow(timeZone, now));
+      return byZone.get(timeZone);
+    };
+    CLOCKS.set(now, clock);
+  }
+  return clock;
+}
+
+/**
+ * Wall-clock date and time right now in a timezone.
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {{ date: string, minutes: number, weekday: number }} - date as YYYY-MM-DD
+ */
+export function zonedNow(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, minutes: Number(parts.hour) * 60 + Number(parts.minute), weekday: weekdayOf(date) };
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0 (Sunday) … 6 (Saturday)
+ */
+export const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {*} s
+ * @returns {boolean} - True for a real YYYY-MM-DD calendar date
+ */
+export const isIsoDate = (s) =>
+  typeof s === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(s) &&
+  !isNaN(new Date(`${s}T00:00:00Z`).getTime()) &&
+  new Date(`${s}T00:00:00Z`).toISOString().startsWith(s);
+
+/**
+ * A stored date as a Date: Firestore Timestamps, and the date strings or
+ * epoch numbers older docs hold.
+ * @param {*} val
+ * @returns {Date|null} - Null when missing or unparseable
+ */
+export function toDate(val) {
+  if (!val) return null;
+  if (typeof val.toDate === "function") return val.toDate();
+  const d = new Date(val);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Parse a time of day: "20:00", "8pm", "8:30 PM", "noon", "midnight".
+ * @param {*} value
+ * @returns {number|null} - Minutes since midnight
+ */
+export function parseTimeOfDay(value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value).trim().toLowerCase();
+  if (s === "noon" || s === "midday") return 12 * 60;
+  if (s === "midnight") return 0;
+  const match = s.match(/^(\d{1,2})(?::?(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3] === "pm" && hours < 12) hours += 12;
+  if (match[3] === "am" && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return (hours % 24) * 60 + minutes;
+}
+
+/**
+ * @param {number} minutes - Minutes since midnight (may exceed a day)
+ * @returns {string} - "HH:mm"
+ */
+export function formatMinutes(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @param {*} s - e.g. "Lunch", "supper"
+ * @returns {string|null} - A DEFAULT_MEALTIMES key
+ */
+export function normalizeMealtime(s) {
+  const key = String(s || "").toLowerCase().trim();
+  const name = MEALTIME_ALIASES[key] || key;
+  return DEFAULT_MEALTIMES[name] ? name : null;
+}
+
+/**
+ * Pull a relative booking slot out of free text ("tonight at 8",
+ * "Saturday lunch", "tomorrow 7:30pm"). The day is kept relative so cached
+ * intents stay correct on later days; see resolveSlot.
+ * @param {string} text
+ * @returns {{ day: string|null, time: string|null, mealtime: string|null }}
+ */
+export function extractWhenFromText(text = "") {
+  // "open after 11pm" is an opening-hours filter (see extractOpeningFromText)
+  const t = text.toLowerCase().replace(new RegExp(OPENING_TIME_PATTERN.source, "g"), " ");
+
+  let day = null;
+  const iso = t.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) day = iso[1];
+  else if (/\b(tonight|today|this evening)\b/.test(t)) day = "today";
+  else if (/\btomorrow\b/.test(t)) day = "tomorrow";
+  else if (/\b(this )?weekend\b/.test(t)) day = "saturday";
+  else day = WEEKDAYS.find((w) => new RegExp(`\\b${w}\\b`).test(t)) || null;
+
+  let mealtime = null;
+  const meal = t.match(/\b(breakfast|brunch|lunch|dinner|supper|tonight|evening)\b/);
+  if (meal) mealtime = normalizeMealtime(meal[1]);
+
+  let time = null;
+  const clock = t.match(/\b(?:at|by|around)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\b|\b(\d{1,2}(?::\d{2})?\s*(?:am|pm))\b|\b(\d{1,2}:\d{2})\b|\b(noon|midnight)\b/);
+  if (clock) {
+    const raw = clock[1] || clock[2] || clock[3] || clock[4];
+    let minutes = parseTimeOfDay(raw);
+    // "tonight at 8" means 20:00 and "lunch at 1" means 13:00
+    const window = DEFAULT_MEALTIMES[mealtime];
+    if (
+      minutes !== null &&
+      window &&
+      !/am|pm/.test(raw) &&
+      minutes < window.start &&
+      minutes + 12 * 60 <= window.end + 60
+    ) {
+      minutes += 12 * 60;
+    }
+    if (minutes !== null) time = formatMinutes(minutes);
+  }
+
+  return { day, time, mealtime };
+}
+
+/**
+ * Turn a relative day ("today", "tomorrow", "saturday", "2026-10-24") into a date.
+ * @param {string|null} day
+ * @param {{ date: string, weekday: number }} today - From zonedNow
+ * @returns {string|null} - YYYY-MM-DD
+ */
+export function resolveDay(day, today) {
+  if (!day) return null;
+  const d = String(day).toLowerCase().trim();
+  if (isIsoDate(d)) return d;
+  if (d === "today" || d === "tonight") return today.date;
+  if (d === "tomorrow") return addDays(today.date, 1);
+  const weekday = WEEKDAYS.indexOf(d);
+  if (weekday === -1) return null;
+  return addDays(today.date, (weekday - today.weekday + 7) % 7);
+}
+
+/**
+ * Resolve the intent's when-fields into a concrete slot, or null when the
+ * query names neither a day nor a time. A time alone means today; a meal
+ * alone ("breakfast place") is an opening-hours filter, not a booking slot.
+ * @param {{ day?: string, time?: string, mealtime?: string }} when
+ * @param {{ date: string, minutes: number, weekday: number }} today - From zonedNow
+ * @returns {{ date: string, time: string|null, mealtime: string|null } | null}
+ */
+export function resolveSlot({ day, time, mealtime } = {}, today) {
+  const minutes = parseTimeOfDay(time);
+  const meal = normalizeMealtime(mealtime);
+  if (!day && minutes === null) return null;
+  const date = resolveDay(day, today) || today.date;
+  return { date, time: minutes === null ? null : formatMinutes(minutes), mealtime: meal };
+}
@@ -0,0 +1,125 @@
+// service/dietary.js
+import { normalizeText } from "./textUtils.js";
+
+/**
+ * Dietary constraints search understands, with the words that signal each
+ * one on a menu tag, amenity, cuisine label or in a query.
+ */
+export const DIETARY_TERMS = {
+  vegetarian: ["vegetarian", "veggie", "meat free", "meatless"],
+  vegan: ["vegan", "plant based"],
+  halal: ["halal"],
+  "gluten free": ["gluten free", "gf", "coeliac", "celiac", "no gluten"],
+  "nut free": ["nut free", "peanut free", "no nuts", "nut allergy", "peanut allergy", "tree nut free"],
+};
+
+export const DIETARY_OPTIONS = Object.keys(DIETARY_TERMS);
+
+/** Diets that guard an allergy: only a dish's own tags or name can vouch for those. */
+export const ALLERGEN_DIETS = ["gluten free", "nut free"];
+
+// Menu shorthand, only trusted as a whole tag ("V", "VG"), never inside a name
+// ("Beef and veg stew" isn't vegetarian)
+const TAG_ABBREVIATIONS = { v: "vegetarian", veg: "vegetarian", vg: "vegan", ve: "vegan", h: "halal", nf: "nut free" };
+
+// "Gluten-free" and "gluten_free" read the same
+const clean = (s) => normalizeText(s).replace(/[-/]/g, " ").replace(/\s+/g, " ");
+
+const mentions = (text, term) => new RegExp(`(^|[^a-z])${term}($|[^a-z])`).test(text);
+
+/**
+ * Diets a text states outright ("Vegan burger", tag "GF").
+ * Vegan food is vegetarian too.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function dietsIn(text) {
+  const t = clean(text);
+  if (!t) return [];
+  const found = DIETARY_OPTIONS.filter((diet) => DIETARY_TERMS[diet].some((term) => mentions(t, term)));
+  if (found.includes("vegan") && !found.includes("vegetarian")) found.push("vegetarian");
+  return found;
+}
+
+/**
+ * Diets a menu item qualifies for, from its tags and name.
+ * @param {{ name?: string, dietaryTags?: string[] }} dish
+ * @returns {string[]}
+ */
+export const dishDiets = (dish) => [
+  ...new Set([
+    ...(dish.dietaryTags || []).flatMap((tag) => {
+      const short = TAG_ABBREVIATIONS[clean(tag)];
+      return short ? dietsIn(short) : dietsIn(tag);
+    }),
+    ...dietsIn(dish.name),
+  ]),
+];
+
+/**
+ * Dietary summary of a restaurant for the index.
+ * @param {{ dishes: Array<{ dietaryTags: string[] }>, cuisines: string[] }} parts
+ *   Dishes from indexMenu (their dietaryTags already canonical)
+ * @returns {{ dietary: Object<string, number>, dietaryVenue: string[] }}
+ *   `dietary` counts qualifying dishes per diet; `dietaryVenue` lists diets the
+ *   whole kitchen is, by its cuisine ("Vegan"). An amenity like "Vegetarian
+ *   options" only says some dishes are, so it never counts.
+ */
+export function summarizeDietary({ dishes = [], cuisines = [] }) {
+  const dietary = Object.fromEntries(
+    DIETARY_OPTIONS.map((diet) => [diet, dishes.filter((d) => (d.dietaryTags || []).includes(diet)).length])
+  );
+  const dietaryVenue = [...new Set(cuisines.flatMap(dietsIn))];
+  return { dietary, dietaryVenue };
+}
+
+/**
+ * Dietary constraints in free text ("vegan options", "I'm allergic to nuts").
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractDietaryFromText(text = "") {
+  const t = clean(text);
+  const found = dietsIn(t);
+  if (/\ballergic to (pea)?nuts?\b/.test(t) && !found.includes("nut free")) found.push("nut free");
+  if (/\ballergic to gluten\b/.test(t) && !found.includes("gluten free")) found.push("gluten free");
+  // "veg" alone is a request in a query ("veg places"), though not proof in a dish name
+  if (/(^| )veg( |$)/.test(t) && !found.includes("vegetarian")) found.push("vegetarian");
+  // Asking for vegan doesn't mean vegetarian is enough
+  return found.includes("vegan") ? found.filter((d) => d !== "vegetarian") : found;
+}
+
+// ---------------------
+// MATCHING
+// ---------------------
+
+/** A restaurant with this many qualifying dishes scores as well as one that caters for the diet outright. */
+export const DIETARY_PLENTY = 10;
+
+/**
+ * How a restaurant caters for each requested diet.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {string[]} diets - e.g. ["vegan", "nut free"]
+ * @returns {Object<string, { dishes: number, restaurantWide: boolean }>}
+ */
+export const dietaryMatches = (r, diets) =>
+  Object.fromEntries(
+    diets.map((diet) => [
+      diet,
+      { dishes: Number(r.dietary?.[diet] || 0), restaurantWide: (r.dietaryVenue || []).includes(diet) },
+    ])
+  );
+
+/**
+ * Does a dish suit every requested diet? A vegan kitchen vouches for its
+ * dishes being vegan, but an allergen diet needs the dish's own tag.
+ * @param {{ dietaryTags?: string[] }} dish - From the indexed menu
+ * @param {string[]} diets
+ * @param {string[]} [venueDiets] - The restaurant's dietaryVenue
+ * @returns {boolean}
+ */
+export const dishSuits = (dish, diets, venueDiets = []) =>
+  diets.every(
+    (diet) =>
+      (dish.dietaryTags || []).includes(diet) || (venueDiets.includes(diet) && !ALLERGEN_DIETS.includes(diet))
+  );
@@ -0,0 +1,115 @@
+// service/eventSearch.js
+import { scorePlace } from "./searchRanking.js";
+import { normalizeText } from "./textUtils.js";
+
+/** Words that turn a query into an event-venue search, mapped to an event type. */
+export const EVENT_TYPES = {
+  conference: ["conference", "seminar", "summit", "workshop", "training"],
+  meeting: ["meeting", "boardroom", "board room"],
+  party: ["party", "birthday", "celebration", "graduation", "baby shower", "bridal shower"],
+  wedding: ["wedding", "reception", "engagement"],
+  event: ["event", "events", "hall", "venue", "function", "banquet", "ground", "grounds", "gala"],
+};
+
+/**
+ * Words that ask for a venue rather than a table. Occasion words alone
+ * ("birthday dinner for 4", "lunch meeting") stay a restaurant search.
+ */
+export const VENUE_WORDS = [
+  "hall", "venue", "space", "conference", "seminar", "summit", "workshop",
+  "boardroom", "board room", "function room", "banquet", "grounds", "gala",
+];
+
+/** Parties bigger than this want an event space even without venue wording. */
+export const EVENT_PARTY_SIZE = 20;
+
+/** How much each part contributes to an event space's score. */
+export const EVENT_SCORE_WEIGHTS = { place: 50, type: 30, fit: 20 };
+
+const mentionsAny = (t, words) => words.some((w) => new RegExp(`\\b${w}s?\\b`).test(t));
+
+/**
+ * Detect an event-venue query: venue wording ("birthday venue", "conference
+ * hall") or a party too big for tables ("dinner for 25 people" is an "event").
+ * @param {string} text
+ * @param {number|null} [people]
+ * @returns {string|null} - An EVENT_TYPES key, or null for a normal restaurant search
+ */
+export function detectEventType(text = "", people = null) {
+  // "table for a party of 6" is a restaurant booking, not an event
+  const t = normalizeText(text).replace(/\bparty of\s+\d+/g, "");
+  const large = people > EVENT_PARTY_SIZE;
+  if (!mentionsAny(t, VENUE_WORDS) && !large) return null;
+  for (const [type, words] of Object.entries(EVENT_TYPES)) {
+    if (words.some((w) => new RegExp(`\\b${w}\\b`).test(t))) return type;
+  }
+  return large ? "event" : null;
+}
+
+/**
+ * Shape an `extrareserves` doc for the search index.
+ * @param {Object} ex
+ * @returns {Object}
+ */
+export const toIndexedEventSpace = (ex) => ({
+  id: ex.id,
+  name: ex.name || "",
+  description: ex.description || "",
+  capacity: Number(ex.capacity || 0),
+  size: ex.size || "",
+  imageUrl: ex.imageUrl || "",
+});
+
+/**
+ * Sort order for event spaces: best score, then the smallest room that fits,
+ * then name and id so pages stay stable.
+ * @returns {number}
+ */
+export const compareEventSpaces = (a, b) =>
+  b.score - a.score ||
+  (a.capacity ?? 0) - (b.capacity ?? 0) ||
+  String(a.name || "").localeCompare(String(b.name || "")) ||
+  String(a.id || "").localeCompare(String(b.id || ""));
+
+/**
+ * Find event spaces across the index that hold the party in the right place.
+ * @param {Array<Object>} candidates - `restaurants_search` docs (with eventSpaces)
+ * @param {Object} intent - { eventType, people, place, nearbyPlaces }
+ * @returns {Array<Object>} - Event spaces with their parent restaurant, best first
+ */
+export function searchEventSpaces(candidates, intent) {
+  const { eventType, people, place } = intent;
+  const typeWords = EVENT_TYPES[eventType] || [];
+  const results = [];
+
+  for (const r of candidates) {
+    const placeScore = place ? scorePlace(r, intent) : null;
+    if (placeScore === 0) continue;
+
+    for (const space of r.eventSpaces || []) {
+      if (people && space.capacity < people) continue;
+
+      const text = normalizeText(`${space.name} ${space.description}`);
+      const typeScore = typeWords.some((w) => text.includes(w)) ? 1 : 0.5;
+      const fit = people && space.capacity ? people / space.capacity : 0.5;
+
+      const scoreBreakdown = {
+        ...(placeScore !== null && { place: placeScore * EVENT_SCORE_WEIGHTS.place }),
+        type: typeScore * EVENT_SCORE_WEIGHTS.type,
+        fit: Math.round(fit * EVENT_SCORE_WEIGHTS.fit * 100) / 100,
+      };
+      const score = Object.values(scoreBreakdown).reduce((a, b) => a + b, 0);
+
+      results.push({
+        ...space,
+        restaurantId: r.restaurantId,
+        restaurantName: r.restaurantName,
+        location: r.location,
+        score: Math.round(score * 100) / 100,
+        scoreBreakdown,
+      });
+    }
+  }
+
+  return results.sort(compareEventSpaces);
+}
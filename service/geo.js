@@ -0,0 +1,72 @@
+// service/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+/** Radius used for "near me" when the query doesn't name one. */
+export const DEFAULT_NEAR_ME_RADIUS_KM = 3;
+
+/** Smallest and largest search radius accepted, from a request or a query. */
+export const MIN_RADIUS_KM = 0.1;
+export const MAX_RADIUS_KM = 100;
+
+/**
+ * Coerce lat/lng into a coords object, or null if they are not valid.
+ * @param {*} lat
+ * @param {*} lng
+ * @returns {{ lat: number, lng: number } | null}
+ */
+export function toCoords(lat, lng) {
+  if (lat === null || lat === undefined || lat === "") return null;
+  if (lng === null || lng === undefined || lng === "") return null;
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  if (Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+  return { lat: la, lng: ln };
+}
+
+/**
+ * Great-circle distance between two points.
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number} - Kilometres
+ */
+export function haversineKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Average position of a set of points (fine at city scale).
+ * @param {Array<{ lat: number, lng: number }>} points
+ * @returns {{ lat: number, lng: number } | null}
+ */
+export function centroid(points) {
+  if (!points.length) return null;
+  const sum = points.reduce((acc, p) => ({ lat: acc.lat + p.lat, lng: acc.lng + p.lng }), { lat: 0, lng: 0 });
+  return { lat: sum.lat / points.length, lng: sum.lng / points.length };
+}
+
+/**
+ * Pick up "within 2km", "within 500 m", "2 km away" style radii.
+ * @param {string} text
+ * @returns {number|null} - Kilometres
+ */
+export function extractRadiusKmFromText(text = "") {
+  const match = text.match(/\b(?:within|under|less than|in)?\s*(\d+(?:\.\d+)?)\s*(km|kms|kilometers|kilometres|m|meters|metres)\b/i);
+  if (!match) return null;
+  const value = Number(match[1]);
+  return /^m/i.test(match[2]) ? value / 1000 : value;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} - True for "near me", "nearby", "close to me", "around me"
+ */
+export const mentionsNearMe = (text = "") =>
+  /\b(near me|nearby|close to me|around me|closest|nearest)\b/i.test(text);
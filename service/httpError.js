@@ -0,0 +1,13 @@
+// service/httpError.js
+
+/**
+ * Error with an HTTP status, thrown by services for anything the caller got
+ * wrong. Routes answer it with that status and the message as `error`.
+ */
+export class HttpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
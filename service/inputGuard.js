@@ -0,0 +1,36 @@
+// service/inputGuard.js
+
+/** Longest search query or follow-up message we send to the LLM. */
+export const MAX_QUERY_LENGTH = 300;
+
+// Invisible and control characters (zero-width spaces, bidi overrides, ...)
+const INVISIBLE = /[\p{Cc}\p{Cf}]/gu;
+
+// What a restaurant search can need: words in any script, numbers, currency
+// symbols and everyday punctuation. Braces, backticks, angle brackets and the
+// like only serve to fake prompt structure, so they go.
+const DISALLOWED = /[^\p{L}\p{M}\p{N}\p{Sc}\s.,'"!?&/:;()%+#@-]/gu;
+
+/**
+ * Clean a free-text query before it reaches the intent extractor.
+ * @param {*} raw
+ * @param {{ maxLength?: number, field?: string }} [options]
+ *   `field` names the input in error messages ("Query", "Message")
+ * @returns {{ value: string } | { error: string }}
+ */
+export function sanitizeQuery(raw, { maxLength = MAX_QUERY_LENGTH, field = "Query" } = {}) {
+  if (raw === undefined || raw === null || !String(raw).trim()) return { error: `${field} is required` };
+  if (typeof raw !== "string") return { error: `${field} must be a string` };
+  // Refuse before doing any work on huge inputs
+  if (raw.length > maxLength * 2) return { error: `${field} must be at most ${maxLength} characters` };
+
+  const value = raw
+    .replace(INVISIBLE, " ")
+    .replace(DISALLOWED, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (value.length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+  if (!/[\p{L}\p{N}]/u.test(value)) return { error: `${field} must contain words` };
+  return { value };
+}
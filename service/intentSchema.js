@@ -0,0 +1,162 @@
+// service/intentSchema.js
+import { KNOWN_VIBES } from "./vocabulary.js";
+import { EVENT_TYPES } from "./eventSearch.js";
+import { WEEKDAYS, DEFAULT_MEALTIMES, isIsoDate } from "./dateTime.js";
+import { normalizeText } from "./textUtils.js";
+import { canonicalVibe } from "./synonyms.js";
+import { DIETARY_OPTIONS, extractDietaryFromText } from "./dietary.js";
+import { OFFER_TYPES } from "./offers.js";
+import { SEATING_OPTIONS, canonicalSeating } from "./sections.js";
+import { MIN_RADIUS_KM, MAX_RADIUS_KM } from "./geo.js";
+
+/** Prices in the index are in KES; other currencies are converted with these. */
+export const BASE_CURRENCY = "KES";
+export const CURRENCY_RATES_TO_KES = { KES: 1, USD: 129, EUR: 140, GBP: 163 };
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Text an extractor may put in a field: words, numbers and light punctuation.
+// Anything else (markup, JSON, instructions with quotes) is rejected.
+const SAFE_TEXT = /^[\p{L}\p{M}\p{N} '&,.:\-/]*$/u;
+const DAY_WORDS = ["today", "tonight", "tomorrow", ...WEEKDAYS];
+
+/**
+ * Every field an intent may carry. Anything else an extractor returns is
+ * dropped. Empty strings and nulls mean "not mentioned".
+ */
+export const INTENT_SCHEMA = {
+  place: { type: "string", maxLength: 80 },
+  cuisines: { type: "array", items: { type: "string", maxLength: 40 }, maxItems: 5 },
+  dishes: { type: "array", items: { type: "string", maxLength: 60 }, maxItems: 5 },
+  dietary: { type: "array", items: { type: "string", maxLength: 20, enum: DIETARY_OPTIONS }, maxItems: 5 },
+  vibe: { type: "string", enum: KNOWN_VIBES },
+  seating: { type: "string", enum: SEATING_OPTIONS },
+  minBudget: { type: "number", min: 0 },
+  maxBudget: { type: "number", min: 0 },
+  currency: { type: "string", enum: Object.keys(CURRENCY_RATES_TO_KES) },
+  people: { type: "integer", min: 1, max: 1000 },
+  keywords: { type: "array", items: { type: "string", maxLength: 40 }, maxItems: 10 },
+  nearMe: { type: "boolean" },
+  radiusKm: { type: "number", min: MIN_RADIUS_KM, max: MAX_RADIUS_KM },
+  day: { type: "string", test: (v) => DAY_WORDS.includes(v) || isIsoDate(v), hint: "today, tomorrow, a weekday or YYYY-MM-DD" },
+  time: { type: "string", pattern: HHMM, hint: "HH:mm" },
+  mealtime: { type: "string", enum: Object.keys(DEFAULT_MEALTIMES) },
+  openNow: { type: "boolean" },
+  openAfter: { type: "string", pattern: HHMM, hint: "HH:mm" },
+  eventType: { type: "string", enum: Object.keys(EVENT_TYPES) },
+  minRating: { type: "number", min: 1, max: 5 },
+  highlyRated: { type: "boolean" },
+  hasOffer: { type: "boolean" },
+  offerType: { type: "string", enum: OFFER_TYPES },
+};
+
+const isBlank = (v) => v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+
+// Harmless shape fixes applied before validation ("2000" → 2000, "Romantic" → "romantic")
+function coerce(field, rule, value) {
+  if (rule.type === "number" || rule.type === "integer") {
+    if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value.replace(/,/g, "")))) {
+      return Number(value.replace(/,/g, ""));
+    }
+    return value;
+  }
+  if (rule.type === "boolean") {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    return value;
+  }
+  if (rule.type === "array") {
+    const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(/\s*,\s*/) : value;
+    if (!Array.isArray(list)) return list;
+    const items = list.map((v) => (typeof v === "string" ? normalizeText(v) : v)).filter((v) => !isBlank(v));
+    // "gluten-free", "veggie" → "gluten free", "vegetarian"
+    if (field === "dietary") {
+      return [...new Set(items.flatMap((v) => (typeof v === "string" && extractDietaryFromText(v).length ? extractDietaryFromText(v) : [v])))];
+    }
+    return items;
+  }
+  if (typeof value === "string") {
+    if (field === "currency") return value.trim().toUpperCase();
+    // "intimate" isn't a vibe, but it is a synonym of one
+    if (field === "vibe" && !rule.enum.includes(normalizeText(value))) return canonicalVibe(value);
+    if (field === "seating") return canonicalSeating(value);
+    return normalizeText(value);
+  }
+  return value;
+}
+
+function checkValue(field, rule, value) {
+  const type = rule.type === "integer" ? "number" : rule.type;
+  if (type === "array") {
+    if (!Array.isArray(value)) return `${field} must be an array`;
+    if (value.length > rule.maxItems) return `${field} may have at most ${rule.maxItems} items`;
+    const bad = value.find((v) => typeof v !== rule.items.type || v.length > rule.items.maxLength);
+    if (bad !== undefined) return `${field} must contain short strings`;
+    if (value.some((v) => !SAFE_TEXT.test(v))) return `${field} contains characters that aren't allowed`;
+    const unknown = rule.items.enum && value.find((v) => !rule.items.enum.includes(v));
+    return unknown ? `${field} must only contain: ${rule.items.enum.join(", ")}` : null;
+  }
+  if (typeof value !== type || (type === "number" && !Number.isFinite(value))) return `${field} must be a ${rule.type}`;
+  if (rule.type === "integer" && !Number.isInteger(value)) return `${field} must be an integer`;
+  if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${field} is too long`;
+  if (type === "string" && !SAFE_TEXT.test(value)) return `${field} contains characters that aren't allowed`;
+  if (rule.enum && !rule.enum.includes(value)) return `${field} must be one of: ${rule.enum.join(", ")}`;
+  if (rule.pattern && !rule.pattern.test(value)) return `${field} must be ${rule.hint}`;
+  if (rule.test && !rule.test(value)) return `${field} must be ${rule.hint}`;
+  return null;
+}
+
+/**
+ * Validate raw extractor output against INTENT_SCHEMA.
+ * A legacy single `cuisine` string is folded into `cuisines`.
+ * @param {Object} raw
+ * @returns {{ value: Object, confidence: Object<string, number>, errors: Array<string> }}
+ *   `value` holds only the valid, non-empty fields
+ */
+export function validateIntent(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: {}, confidence: {}, errors: ["intent must be a JSON object"] };
+  }
+
+  const input = { ...raw };
+  if (input.cuisines === undefined && !isBlank(input.cuisine)) input.cuisines = [input.cuisine];
+
+  const value = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(INTENT_SCHEMA)) {
+    if (isBlank(input[field])) continue;
+    const coerced = coerce(field, rule, input[field]);
+    if (isBlank(coerced)) continue;
+    const error = checkValue(field, rule, coerced);
+    if (error) errors.push(error);
+    else value[field] = coerced;
+  }
+
+  if (value.minBudget !== undefined && value.maxBudget !== undefined && value.minBudget > value.maxBudget) {
+    errors.push("minBudget must not exceed maxBudget");
+  }
+
+  const confidence = {};
+  if (raw.confidence && typeof raw.confidence === "object") {
+    for (const [field, c] of Object.entries(raw.confidence)) {
+      const n = Number(c);
+      if (INTENT_SCHEMA[field] && Number.isFinite(n)) confidence[field] = Math.min(1, Math.max(0, n));
+    }
+  }
+
+  return { value, confidence, errors };
+}
+
+/**
+ * Convert an amount to the index currency.
+ * @param {number|null} amount
+ * @param {string} [currency]
+ * @returns {number|null}
+ */
+export function toBaseCurrency(amount, currency = BASE_CURRENCY) {
+  if (amount === null || amount === undefined) return null;
+  const rate = CURRENCY_RATES_TO_KES[currency] || 1;
+  return Math.round(amount * rate);
+}
@@ -0,0 +1,78 @@
+// service/menu.js
+import { normalizeText } from "./textUtils.js";
+import { tokenize } from "./searchEngine.js";
+import { dishDiets } from "./dietary.js";
+
+/** Dishes kept per restaurant in restaurants_search (Firestore docs max out at 1 MB). */
+export const MAX_INDEXED_DISHES = 200;
+
+/** Matching dishes returned with each search result. */
+export const MAX_MATCHING_DISHES = 5;
+
+const toList = (v) => (Array.isArray(v) ? v : typeof v === "string" && v ? v.split(/\s*,\s*/) : []);
+
+/**
+ * The searchable part of a `menuItems` doc. Its dietary tags are canonical
+ * diets ("V", "plant-based" → "vegetarian", "vegan"), also read off the name.
+ * @param {Object} item
+ * @returns {{ id: string, name: string, price: number|null, category: string, dietaryTags: string[] }}
+ */
+export function toIndexedDish(item) {
+  const price = Number(item.price);
+  const name = String(item.name || item.itemName || item.title || "");
+  const tags = toList(item.dietaryTags || item.tags || item.dietary).map(normalizeText).filter(Boolean);
+  return {
+    id: item.id,
+    name,
+    price: Number.isFinite(price) && price > 0 ? price : null,
+    category: normalizeText(item.category || item.menuCategory || ""),
+    dietaryTags: dishDiets({ name, dietaryTags: tags }),
+  };
+}
+
+/**
+ * Menu of a restaurant for the index: named dishes only, cheapest first
+ * when there are too many to keep.
+ * @param {Array<Object>} menuItems
+ * @returns {Array<Object>}
+ */
+export const indexMenu = (menuItems = []) =>
+  menuItems
+    .map(toIndexedDish)
+    .filter((d) => d.name)
+    .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || a.name.localeCompare(b.name))
+    .slice(0, MAX_INDEXED_DISHES);
+
+/**
+ * How well one dish on the menu matches a requested dish.
+ * @returns {number} - 1 same name, 0.8 every word of the request in the name, 0.6 in the category
+ */
+function dishStrength(dish, query) {
+  const wanted = tokenize(query);
+  if (!wanted.length) return 0;
+  if (normalizeText(dish.name) === normalizeText(query)) return 1;
+  const name = new Set(tokenize(dish.name));
+  if (wanted.every((t) => name.has(t))) return 0.8;
+  const category = new Set(tokenize(dish.category));
+  return wanted.every((t) => category.has(t)) ? 0.6 : 0;
+}
+
+/**
+ * Dishes on a restaurant's indexed menu matching any of the requested ones.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {string[]} dishes - e.g. ["nyama choma"]
+ * @returns {{ strength: number, items: Array<Object> }} - Best match strength,
+ *   and the matching dishes cheapest first
+ */
+export function matchDishes(r, dishes) {
+  let strength = 0;
+  const items = [];
+  for (const dish of r.dishes || []) {
+    const s = Math.max(...dishes.map((q) => dishStrength(dish, q)));
+    if (!s) continue;
+    strength = Math.max(strength, s);
+    items.push(dish);
+  }
+  items.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+  return { strength, items };
+}
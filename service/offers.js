@@ -0,0 +1,110 @@
+// service/offers.js
+import { normalizeText } from "./textUtils.js";
+import { zonedNow, zonedClock, toDate, DEFAULT_TIMEZONE } from "./dateTime.js";
+
+/** Kinds of offer a search can ask for; anything else is a plain "deal". */
+export const OFFER_TYPES = ["happy hour", "discount"];
+
+// ---------------------
+// HELPERS
+// ---------------------
+const toNumber = (val) => {
+  const n = Number(val);
+  return val !== null && val !== undefined && val !== "" && Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * What kind of offer a name or description describes.
+ * @param {string} text
+ * @returns {string} - "happy hour", "discount" or "deal"
+ */
+export function offerType(text) {
+  const t = normalizeText(text);
+  if (/\bhappy hours?\b/.test(t)) return "happy hour";
+  if (/\d+\s*%|\b(discount|off|half price|cashback|save)\b/.test(t)) return "discount";
+  return "deal";
+}
+
+// ---------------------
+// INDEXING
+// ---------------------
+
+/**
+ * The searchable part of an `offers` doc. Dates become the restaurant's
+ * local calendar days, so "valid on Saturday" is a string comparison.
+ * @param {Object} offer - { name, description, price, discount, dateFrom, dateTo }
+ * @param {string} [timeZone] - The restaurant's
+ * @returns {{ id: string, name: string, description: string, type: string, price: number|null,
+ *   discountPercent: number|null, from: string|null, to: string|null }}
+ */
+export function toIndexedOffer(offer, timeZone = DEFAULT_TIMEZONE) {
+  const from = toDate(offer.dateFrom || offer.from);
+  const to = toDate(offer.dateTo || offer.to);
+  const name = String(offer.name || offer.title || "");
+  const description = String(offer.description || "");
+  return {
+    id: offer.id,
+    name,
+    description,
+    type: offerType(`${name} ${description}`),
+    price: toNumber(offer.price),
+    discountPercent: toNumber(offer.discount ?? offer.discountPercent),
+    from: from ? zonedNow(timeZone, from).date : null,
+    to: to ? zonedNow(timeZone, to).date : null,
+  };
+}
+
+/**
+ * Offers worth indexing: running now or starting later, not yet ended.
+ * Expiry is checked again at search time, since the index is only
+ * rewritten when the restaurant's data changes.
+ * @param {Array<Object>} offers - `offers` docs
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {Array<Object>} - Indexed offers, soonest ending first
+ */
+export function indexOffers(offers = [], timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const today = zonedNow(timeZone, now).date;
+  return offers
+    .map((o) => toIndexedOffer(o, timeZone))
+    .filter((o) => o.name && (!o.to || o.to >= today) && (!o.from || !o.to || o.from <= o.to))
+    .sort((a, b) => (a.to || "9999").localeCompare(b.to || "9999") || a.name.localeCompare(b.name));
+}
+
+// ---------------------
+// SEARCH
+// ---------------------
+
+/**
+ * A restaurant's offers that are valid on a day.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {string|null} [date] - YYYY-MM-DD; defaults to today where the restaurant is
+ * @param {Date} [now] - Pass one instance for a whole search so each timezone is read once
+ * @returns {Array<Object>}
+ */
+export function offersValidOn(r, date = null, now = new Date()) {
+  const day = date || zonedClock(now)(r.timezone || DEFAULT_TIMEZONE).date;
+  return (r.offers || []).filter((o) => (!o.from || o.from <= day) && (!o.to || o.to >= day));
+}
+
+/**
+ * Does an offer satisfy the kind asked for? A discount or happy hour is still a deal.
+ * @param {Object} offer - Indexed offer
+ * @param {string|null} type - From the intent's offerType
+ * @returns {boolean}
+ */
+export const offerMatches = (offer, type) => !type || offer.type === type;
+
+/**
+ * Offer constraints in free text.
+ * @param {string} text
+ * @returns {{ hasOffer: boolean, offerType: string|null }}
+ *   "any deals in Westlands" → { hasOffer: true }, "happy hour" → { hasOffer: true, offerType: "happy hour" }
+ */
+export function extractOfferFromText(text = "") {
+  const t = normalizeText(text);
+  if (/\bhappy hours?\b/.test(t)) return { hasOffer: true, offerType: "happy hour" };
+  if (/\b(discounts?|discounted|\d+\s*% off|half price)\b/.test(t)) return { hasOffer: true, offerType: "discount" };
+  const hasOffer = /\b(deals?|offers?|specials|daily special|promos?|promotions?)\b/.test(t);
+  return { hasOffer, offerType: null };
+}
@@ -0,0 +1,207 @@
+// service/openingHours.js
+import {
+  WEEKDAYS,
+  DEFAULT_MEALTIMES,
+  DEFAULT_TIMEZONE,
+  zonedClock,
+  weekdayOf,
+  parseTimeOfDay,
+  formatMinutes,
+  normalizeMealtime,
+  OPENING_TIME_PATTERN,
+} from "./dateTime.js";
+
+const pick = (obj, keys) => keys.map((k) => obj?.[k]).find((v) => v !== undefined && v !== null && v !== "");
+
+const toWeekday = (value) => {
+  if (typeof value === "number" && value >= 0 && value <= 7) return value % 7;
+  const name = String(value || "").toLowerCase().trim();
+  return WEEKDAYS.findIndex((w) => w === name || w.slice(0, 3) === name.slice(0, 3) && name.length >= 3);
+};
+
+// "08:00-22:00" or { open, close } → { open, close } in minutes, close past midnight allowed
+function toInterval(value) {
+  if (!value) return null;
+  if (typeof value === "string") {
+    const [open, close] = value.split(/\s*[-–]\s*/);
+    return toInterval({ open, close });
+  }
+  if (value.closed === true || value.isClosed === true) return null;
+  const open = parseTimeOfDay(pick(value, ["open", "openTime", "opening", "openingTime", "from", "startTime", "start"]));
+  let close = parseTimeOfDay(pick(value, ["close", "closeTime", "closing", "closingTime", "to", "endTime", "end"]));
+  if (open === null || close === null) return null;
+  if (close <= open) close += 24 * 60; // open past midnight
+  return { open, close };
+}
+
+/**
+ * Normalize `openingHours` docs into per-weekday intervals. Accepts one doc
+ * per day (`{ day, openTime, closeTime }`) or one doc keyed by weekday
+ * (`{ monday: { open, close } }` / `{ monday: "08:00-22:00" }`).
+ * @param {Array<Object>} docs - The restaurant's `openingHours` docs
+ * @returns {Array<Array<{ open: number, close: number }>> | null} - Indexed
+ *   by weekday (0 = Sunday); null when the restaurant publishes no hours
+ */
+export function normalizeOpeningHours(docs = []) {
+  const week = WEEKDAYS.map(() => []);
+  let found = false;
+
+  const addDay = (dayValue, intervalValue) => {
+    const weekday = toWeekday(dayValue);
+    if (weekday === -1) return;
+    found = true; // a day marked closed still counts as published hours
+    const interval = toInterval(intervalValue);
+    if (interval) week[weekday].push(interval);
+  };
+
+  for (const doc of docs) {
+    const entries = Array.isArray(doc.days) ? doc.days : Array.isArray(doc.hours) ? doc.hours : [doc];
+    for (const entry of entries) {
+      const day = pick(entry, ["day", "dayOfWeek", "weekday"]);
+      if (day !== undefined) {
+        addDay(day, entry);
+        continue;
+      }
+      for (const w of WEEKDAYS) {
+        const value = entry[w] ?? entry[w[0].toUpperCase() + w.slice(1)];
+        if (value !== undefined) addDay(w, value);
+      }
+    }
+  }
+
+  return found ? week : null;
+}
+
+/**
+ * Normalize `mealtimes` docs (`{ name: "Lunch", startTime, endTime }` or one
+ * doc keyed by meal) into windows, falling back to DEFAULT_MEALTIMES.
+ * @param {Array<Object>} docs
+ * @returns {Object<string, { start: number, end: number }>}
+ */
+export function normalizeMealtimes(docs = []) {
+  const meals = { ...DEFAULT_MEALTIMES };
+  const add = (name, value) => {
+    const meal = normalizeMealtime(name);
+    const interval = toInterval(value);
+    if (meal && interval) meals[meal] = { start: interval.open, end: interval.close };
+  };
+
+  for (const doc of docs) {
+    const name = pick(doc, ["name", "mealtime", "meal", "type"]);
+    if (name) add(name, doc);
+    else for (const meal of Object.keys(DEFAULT_MEALTIMES)) if (doc[meal]) add(meal, doc[meal]);
+  }
+  return meals;
+}
+
+/**
+ * Is the restaurant open for the whole of [start, end) on `date`?
+ * Unknown hours count as open.
+ * @param {Array|null} hours - From normalizeOpeningHours
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} start - Minutes since midnight
+ * @param {number} end - Minutes since midnight (may exceed 1440)
+ * @returns {boolean}
+ */
+export function isOpenBetween(hours, date, start, end) {
+  if (!hours) return true;
+  const weekday = weekdayOf(date);
+  const today = hours[weekday].some((i) => i.open <= start && end <= i.close);
+  // Last night's hours running past midnight
+  const previous = hours[(weekday + 6) % 7].some(
+    (i) => i.close > 24 * 60 && i.open <= start + 24 * 60 && end + 24 * 60 <= i.close
+  );
+  return today || previous;
+}
+
+
+/** What "open late" means when no time is given. */
+export const OPEN_LATE_TIME = "23:00";
+
+/**
+ * Store-friendly form of normalizeOpeningHours output. Firestore can't hold
+ * nested arrays, so the week is keyed by day name.
+ * @param {Array|null} hours
+ * @returns {Object<string, Array<{ open: number, close: number }>> | null}
+ */
+export const serializeOpeningHours = (hours) =>
+  hours ? Object.fromEntries(WEEKDAYS.map((w, i) => [w, hours[i]])) : null;
+
+/**
+ * @param {Object|null} map - From serializeOpeningHours
+ * @returns {Array|null} - In normalizeOpeningHours shape
+ */
+export const deserializeOpeningHours = (map) =>
+  map ? WEEKDAYS.map((w) => map[w] || []) : null;
+
+/**
+ * Meals a restaurant explicitly lists in its `mealtimes` docs.
+ * @param {Array<Object>} docs
+ * @returns {Array<string>} - e.g. ["breakfast", "lunch"]
+ */
+export function servedMeals(docs = []) {
+  const meals = new Set();
+  for (const doc of docs) {
+    const name = normalizeMealtime(pick(doc, ["name", "mealtime", "meal", "type"]));
+    if (name) meals.add(name);
+    for (const meal of Object.keys(DEFAULT_MEALTIMES)) if (doc[meal]) meals.add(meal);
+  }
+  return [...meals];
+}
+
+/**
+ * Is an indexed restaurant open at `minutes` on its current local day?
+ * Times before 06:00 are read as later tonight ("open after 1am").
+ * @param {Object} entry - `restaurants_search` doc with openingHours and timezone
+ * @param {number|null} [minutes] - Minutes since midnight; omit for "right now"
+ * @param {Date} [now] - Pass one instance for a whole search so each timezone is read once
+ * @returns {boolean|null} - null when the restaurant publishes no hours
+ */
+export function isOpenAt(entry, minutes = null, now = new Date()) {
+  if (!entry.openingHours) return null;
+  const hours = deserializeOpeningHours(entry.openingHours);
+  const local = zonedClock(now)(entry.timezone || DEFAULT_TIMEZONE);
+  if (minutes === null) return isOpenBetween(hours, local.date, local.minutes, local.minutes + 1);
+  if (minutes < 6 * 60) return isOpenBetween(hours, local.date, minutes + 24 * 60, minutes + 24 * 60 + 1);
+  return isOpenBetween(hours, local.date, minutes, minutes + 1);
+}
+
+/**
+ * Does an indexed restaurant serve a meal? Listed mealtimes win; otherwise
+ * any opening interval overlapping the default meal window counts.
+ * @param {Object} entry - `restaurants_search` doc
+ * @param {string} meal
+ * @returns {boolean|null} - null when there is nothing to go on
+ */
+export function servesMeal(entry, meal) {
+  const name = normalizeMealtime(meal);
+  if (!name) return null;
+  if (entry.meals?.length) return entry.meals.includes(name);
+  const hours = deserializeOpeningHours(entry.openingHours);
+  if (!hours) return null;
+  const window = DEFAULT_MEALTIMES[name];
+  return hours.some((day) => day.some((i) => i.open < window.end && window.start < i.close));
+}
+
+/**
+ * Pick up "open now" and "open after 11pm" / "open late" from free text.
+ * @param {string} text
+ * @returns {{ openNow: boolean, openAfter: string|null }} - openAfter as "HH:mm"
+ */
+export function extractOpeningFromText(text = "") {
+  const t = text.toLowerCase();
+  const openNow = /\b(open now|open right now|currently open|still open|opened now)\b/.test(t);
+
+  let openAfter = null;
+  const after = t.match(OPENING_TIME_PATTERN);
+  if (after) {
+    let minutes = parseTimeOfDay(after[1]);
+    // "open till 11" means 23:00
+    if (minutes !== null && minutes < 12 * 60 && minutes >= 6 * 60 && !/am/.test(after[1])) minutes += 12 * 60;
+    if (minutes !== null) openAfter = formatMinutes(minutes);
+  } else if (/\b(open late|late night|late-night|after hours)\b/.test(t)) {
+    openAfter = OPEN_LATE_TIME;
+  }
+
+  return { openNow, openAfter };
+}
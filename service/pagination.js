@@ -0,0 +1,93 @@
+// service/pagination.js
+import { compareRanked } from "./searchRanking.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+/** Result fields the comparators sort on; a cursor carries these and nothing else. */
+const CURSOR_FIELDS = ["score", "distanceKm", "ratingScore", "capacity", "restaurantName", "restaurantId", "name", "id"];
+
+/**
+ * Opaque cursor pointing just past a ranked result. It stores the sort key
+ * (score, distance, name, id, ...) rather than an offset, so a page boundary
+ * stays put when entries are added to or dropped from the index between requests.
+ * @param {Object} r - Last ranked result of the current page
+ * @returns {string}
+ */
+export const encodeCursor = (r) =>
+  Buffer.from(
+    JSON.stringify(
+      Object.fromEntries(CURSOR_FIELDS.filter((f) => r[f] !== undefined).map((f) => [f, r[f]]))
+    )
+  ).toString("base64url");
+
+/**
+ * @param {string} cursor
+ * @returns {Object|null} - Sort key in ranked-result shape, or null if invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!key || typeof key !== "object" || typeof key.score !== "number") return null;
+    const valid = Object.entries(key).every(
+      ([f, v]) => CURSOR_FIELDS.includes(f) && (v === null || ["string", "number"].includes(typeof v))
+    );
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate `limit`, `cursor` and `page` request parameters.
+ * @param {Object} params - Usually `req.body`
+ * @returns {{ limit: number, cursor: Object|null, page: number|null } | { error: string }}
+ */
+export function parsePagination({ limit, cursor, page } = {}) {
+  let size = DEFAULT_PAGE_SIZE;
+  if (limit !== undefined && limit !== null && limit !== "") {
+    size = Number(limit);
+    if (!Number.isInteger(size) || size < 1) return { error: "limit must be a positive integer" };
+    size = Math.min(size, MAX_PAGE_SIZE);
+  }
+
+  if (cursor && page) return { error: "Use either cursor or page, not both" };
+
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) return { error: "Invalid cursor" };
+  }
+
+  let pageNumber = null;
+  if (page !== undefined && page !== null && page !== "") {
+    pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) return { error: "page must be a positive integer" };
+  }
+
+  return { limit: size, cursor: after, page: pageNumber };
+}
+
+/**
+ * Slice one page out of a ranked list.
+ * @param {Array<Object>} ranked - Output of rankRestaurants (already sorted)
+ * @param {{ limit: number, cursor: Object|null, page: number|null }} params
+ * @param {Function} [compare] - The comparator `ranked` was sorted with
+ * @returns {{ items: Array<Object>, nextCursor: string|null }}
+ */
+export function paginate(ranked, { limit, cursor, page }, compare = compareRanked) {
+  let start = 0;
+  if (cursor) {
+    start = ranked.findIndex((r) => compare(r, cursor) > 0);
+    if (start === -1) start = ranked.length;
+  } else if (page) {
+    start = (page - 1) * limit;
+  }
+
+  const items = ranked.slice(start, start + limit);
+  const hasMore = start + limit < ranked.length;
+  return {
+    items,
+    nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
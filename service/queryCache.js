@@ -0,0 +1,221 @@
+// service/queryCache.js
+import { createHash } from "node:crypto";
+import { normalizeText } from "./textUtils.js";
+
+/** Entries kept in process before the least recently used is evicted. */
+export const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+
+/** Extracted intents go stale after a day (vocabulary and prompts change). */
+export const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_CACHE_COLLECTION = "ai_query_cache";
+
+/**
+ * Cache key for a free-text query, so trivially different phrasings share an
+ * entry: "Italian  in Kilimani ?" and "italian in kilimani" are the same key.
+ * Decimal points and times ("2.5km", "8:30") survive; other punctuation goes.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeCacheKey(query) {
+  return normalizeText(query)
+    .replace(/[?!,;"'`()[\]{}]+/g, " ")
+    .replace(/\.(?!\d)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// ---------------------
+// SHARED STORES
+// Each one is {
+//   name,
+//   get(key) → Promise<value|undefined>,
+//   set(key, value, ttlMs) → Promise,
+//   delete(key) → Promise,
+// }
+// ---------------------
+
+/**
+ * In-memory stand-in for a shared store (tests, single-instance deploys).
+ * @param {{ now?: () => number }} [options]
+ */
+export function createMemoryCacheStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Firestore-backed store, shared across instances and restarts. Doc ids are
+ * hashes of the key; values are stored as JSON so any intent shape fits.
+ * Expired docs are ignored on read (a Firestore TTL policy on `expiresAt`
+ * can delete them).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ collection?: string, now?: () => number }} [options]
+ */
+export function createFirestoreCacheStore(db, { collection = DEFAULT_CACHE_COLLECTION, now = Date.now } = {}) {
+  const ref = (key) => db.collection(collection).doc(createHash("sha1").update(key).digest("hex"));
+  return {
+    name: "firestore",
+    async get(key) {
+      const snap = await ref(key).get();
+      if (!snap.exists) return undefined;
+      const { value, expiresAt } = snap.data();
+      const expiry = expiresAt?.toMillis ? expiresAt.toMillis() : Number(expiresAt);
+      if (!(expiry > now())) return undefined;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, value, ttlMs) {
+      await ref(key).set({ key, value: JSON.stringify(value), expiresAt: new Date(now() + ttlMs) });
+    },
+    async delete(key) {
+      await ref(key).delete();
+    },
+  };
+}
+
+// ---------------------
+// QUERY CACHE
+// ---------------------
+
+/**
+ * Two-tier query cache: a bounded in-process LRU in front of an optional
+ * shared store. Store failures are logged and treated as misses, so a
+ * flaky backend never breaks search.
+ * @param {{ maxEntries?: number, ttlMs?: number, store?: Object|null, now?: () => number }} [options]
+ */
+export function createQueryCache({
+  maxEntries = DEFAULT_CACHE_MAX_ENTRIES,
+  ttlMs = DEFAULT_CACHE_TTL_MS,
+  store = null,
+  now = Date.now,
+} = {}) {
+  // Map keeps insertion order, so the first entry is the least recently used
+  const local = new Map();
+  const metrics = { hits: 0, localHits: 0, sharedHits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, storeErrors: 0 };
+
+  const remember = (key, value, expiresAt) => {
+    local.delete(key);
+    local.set(key, { value, expiresAt });
+    while (local.size > maxEntries) {
+      local.delete(local.keys().next().value);
+      metrics.evictions++;
+    }
+  };
+
+  const fromStore = async (op, ...args) => {
+    try {
+      return await store[op](...args);
+    } catch (err) {
+      metrics.storeErrors++;
+      console.warn(`⚠️ ${store.name} cache ${op} failed:`, err.message);
+      return undefined;
+    }
+  };
+
+  return {
+    async get(query) {
+      const key = normalizeCacheKey(query);
+      const entry = local.get(key);
+      if (entry && entry.expiresAt > now()) {
+        remember(key, entry.value, entry.expiresAt);
+        metrics.hits++;
+        metrics.localHits++;
+        return entry.value;
+      }
+      if (entry) {
+        local.delete(key);
+        metrics.expirations++;
+      }
+
+      if (store) {
+        const value = await fromStore("get", key);
+        if (value !== undefined) {
+          // The shared store owns the real expiry; keep a local copy for at most one TTL
+          remember(key, value, now() + ttlMs);
+          metrics.hits++;
+          metrics.sharedHits++;
+          return value;
+        }
+      }
+
+      metrics.misses++;
+      return undefined;
+    },
+
+    async set(query, value) {
+      const key = normalizeCacheKey(query);
+      remember(key, value, now() + ttlMs);
+      metrics.sets++;
+      if (store) await fromStore("set", key, value, ttlMs);
+    },
+
+    async delete(query) {
+      const key = normalizeCacheKey(query);
+      local.delete(key);
+      if (store) await fromStore("delete", key);
+    },
+
+    clear() {
+      local.clear();
+    },
+
+    stats() {
+      const lookups = metrics.hits + metrics.misses;
+      return {
+        ...metrics,
+        hitRate: lookups ? Number((metrics.hits / lookups).toFixed(3)) : 0,
+        size: local.size,
+        maxEntries,
+        ttlMs,
+        backend: store?.name || "none",
+      };
+    },
+  };
+}
+
+/**
+ * Build the AI query cache from env:
+ * AI_CACHE_MAX_ENTRIES, AI_CACHE_TTL_MS,
+ * AI_CACHE_BACKEND ("firestore" | "memory" | unset for in-process only),
+ * AI_CACHE_COLLECTION (Firestore collection name).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [env]
+ */
+export function createQueryCacheFromEnv(db, env = process.env) {
+  const backend = (env.AI_CACHE_BACKEND || "").toLowerCase();
+  let store = null;
+  if (backend === "firestore") {
+    store = createFirestoreCacheStore(db, { collection: env.AI_CACHE_COLLECTION || DEFAULT_CACHE_COLLECTION });
+  } else if (backend === "memory") {
+    store = createMemoryCacheStore();
+  } else if (backend) {
+    console.warn(`⚠️ Unknown AI_CACHE_BACKEND "${backend}", caching in process only`);
+  }
+
+  return createQueryCache({
+    maxEntries: Number(env.AI_CACHE_MAX_ENTRIES) || DEFAULT_CACHE_MAX_ENTRIES,
+    ttlMs: Number(env.AI_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS,
+    store,
+  });
+}
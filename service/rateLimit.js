@@ -0,0 +1,156 @@
+// service/rateLimit.js
+import { createHash } from "node:crypto";
+
+/** Requests allowed per client per window on the LLM-backed routes. */
+export const DEFAULT_RATE_LIMIT = 30;
+
+export const DEFAULT_RATE_WINDOW_MS = 60 * 1000;
+
+export const DEFAULT_RATE_LIMIT_COLLECTION = "rate_limits";
+
+// Most clients the in-memory store tracks; past this the oldest windows are dropped
+const MEMORY_MAX_KEYS = 10000;
+
+// ---------------------
+// STORES
+// Each one is {
+//   name,
+//   hit(key, windowMs) → Promise<{ count, resetAt }>  (counts this request in the current window)
+// }
+// ---------------------
+
+/**
+ * Counters in this process only (tests, single-instance deploys).
+ * @param {{ now?: () => number }} [options]
+ */
+export function createMemoryRateStore({ now = Date.now } = {}) {
+  // A new window is re-inserted at the end, so the Map runs oldest window first
+  const windows = new Map();
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const t = now();
+      for (const [k, w] of windows) {
+        if (w.resetAt > t) break;
+        windows.delete(k);
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= t) {
+        w = { count: 0, resetAt: t + windowMs };
+        windows.delete(key);
+        windows.set(key, w);
+        // Still full of live windows: forget the oldest client, as the query cache does
+        while (windows.size > MEMORY_MAX_KEYS) windows.delete(windows.keys().next().value);
+      }
+      w.count++;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+
+/**
+ * Counters shared across instances, one doc per client counted in a
+ * transaction. A Firestore TTL policy on `resetAt` can delete old docs.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ collection?: string, now?: () => number }} [options]
+ */
+export function createFirestoreRateStore(db, { collection = DEFAULT_RATE_LIMIT_COLLECTION, now = Date.now } = {}) {
+  // Keys hold IPs and user ids: hash them rather than store them
+  const ref = (key) => db.collection(collection).doc(createHash("sha1").update(key).digest("hex"));
+  return {
+    name: "firestore",
+    async hit(key, windowMs) {
+      const doc = ref(key);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(doc);
+        const t = now();
+        const data = snap.exists ? snap.data() : null;
+        const resetAt = data?.resetAt?.toMillis ? data.resetAt.toMillis() : Number(data?.resetAt);
+        const current = resetAt > t ? { count: Number(data.count || 0) + 1, resetAt } : { count: 1, resetAt: t + windowMs };
+        tx.set(doc, { count: current.count, resetAt: new Date(current.resetAt) });
+        return current;
+      });
+    },
+  };
+}
+
+// ---------------------
+// MIDDLEWARE
+// ---------------------
+
+/**
+ * Who a request is counted against: the signed-in user when there is one
+ * (set by auth middleware), else the client IP.
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+export const rateLimitKey = (req) => (req.user?.uid ? `user:${req.user.uid}` : `ip:${req.ip}`);
+
+/**
+ * Fixed-window rate limiter as Express middleware. Over the limit it answers
+ * 429 with Retry-After; a failing store lets the request through (logged),
+ * so a backend hiccup doesn't take search down.
+ * @param {{ limit?: number, windowMs?: number, store?: Object, keyFor?: Function, scope?: string,
+ *   now?: () => number }} [options]
+ *   `scope` keeps separate budgets per route group
+ * @returns {Function}
+ */
+export function createRateLimiter({
+  limit = DEFAULT_RATE_LIMIT,
+  windowMs = DEFAULT_RATE_WINDOW_MS,
+  store = createMemoryRateStore(),
+  keyFor = rateLimitKey,
+  scope = "default",
+  now = Date.now,
+} = {}) {
+  const middleware = async (req, res, next) => {
+    let hit;
+    try {
+      hit = await store.hit(`${scope}:${keyFor(req)}`, windowMs);
+    } catch (err) {
+      console.warn(`⚠️ ${store.name} rate limit check failed:`, err.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((hit.resetAt - now()) / 1000));
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, limit - hit.count)));
+    res.set("X-RateLimit-Reset", String(Math.ceil(hit.resetAt / 1000)));
+
+    if (hit.count > limit) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many requests, please slow down", retryAfter });
+    }
+    return next();
+  };
+  middleware.store = store;
+  return middleware;
+}
+
+/**
+ * Build the AI route rate limiter from env:
+ * AI_RATE_LIMIT (requests per window), AI_RATE_LIMIT_WINDOW_MS,
+ * AI_RATE_LIMIT_BACKEND ("firestore" | "memory", default memory),
+ * AI_RATE_LIMIT_COLLECTION.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [env]
+ * @param {{ scope?: string, limit?: number }} [options]
+ *   `limit` replaces AI_RATE_LIMIT for routes with their own budget
+ */
+export function createRateLimiterFromEnv(db, env = process.env, { scope = "ai", limit } = {}) {
+  const backend = (env.AI_RATE_LIMIT_BACKEND || "memory").toLowerCase();
+  let store;
+  if (backend === "firestore") {
+    store = createFirestoreRateStore(db, { collection: env.AI_RATE_LIMIT_COLLECTION || DEFAULT_RATE_LIMIT_COLLECTION });
+  } else {
+    if (backend !== "memory") console.warn(`⚠️ Unknown AI_RATE_LIMIT_BACKEND "${backend}", counting in process`);
+    store = createMemoryRateStore();
+  }
+
+  return createRateLimiter({
+    limit: limit || Number(env.AI_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    windowMs: Number(env.AI_RATE_LIMIT_WINDOW_MS) || DEFAULT_RATE_WINDOW_MS,
+    store,
+    scope,
+  });
+}
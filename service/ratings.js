@@ -0,0 +1,123 @@
+// service/ratings.js
+import { normalizeText } from "./textUtils.js";
+import { toDate } from "./dateTime.js";
+
+/** "highly rated", "best", "top rated" mean at least this average. */
+export const HIGHLY_RATED_MIN = 4;
+
+/** Sentiment is read from this many of the most recent reviews. */
+export const RECENT_REVIEW_COUNT = 20;
+
+// Bayesian prior for ratingScore: a restaurant starts as if it had
+// PRIOR_WEIGHT reviews of PRIOR_RATING, so one 5-star review isn't "the best"
+const PRIOR_RATING = 3.5;
+const PRIOR_WEIGHT = 5;
+
+const POSITIVE_WORDS = new Set([
+  "good", "great", "excellent", "amazing", "awesome", "delicious", "tasty", "fresh", "friendly",
+  "lovely", "best", "perfect", "fantastic", "wonderful", "clean", "recommend", "love", "loved",
+  "nice", "beautiful", "attentive", "quick", "fast", "cozy", "superb", "enjoyed",
+]);
+const NEGATIVE_WORDS = new Set([
+  "bad", "poor", "terrible", "awful", "horrible", "cold", "slow", "rude", "dirty", "bland",
+  "overpriced", "expensive", "worst", "disappointing", "disappointed", "stale", "noisy", "late",
+  "never", "avoid", "mediocre", "raw", "burnt", "unfriendly",
+]);
+const NEGATIONS = new Set(["not", "no", "never", "isn't", "wasn't", "don't", "didn't", "hardly"]);
+
+// ---------------------
+// HELPERS
+// ---------------------
+const reviewRating = (review) => {
+  const n = Number(review.rating ?? review.stars ?? review.score);
+  return Number.isFinite(n) && n >= 1 && n <= 5 ? n : null;
+};
+
+const reviewText = (review) => String(review.comment || review.review || review.text || review.message || "");
+
+/**
+ * Word-list sentiment of a review's text, -1 (negative) to 1 (positive).
+ * A negation flips the next word ("not good").
+ * @param {string} text
+ * @returns {number|null} - Null when no sentiment words were found
+ */
+export function textSentiment(text) {
+  let positive = 0;
+  let negative = 0;
+  let negated = false;
+  for (const word of normalizeText(text).split(/[^a-z']+/)) {
+    if (NEGATIONS.has(word)) {
+      negated = true;
+      continue;
+    }
+    const polarity = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+    if (polarity) {
+      if ((polarity > 0) !== negated) positive++;
+      else negative++;
+    }
+    if (word) negated = false;
+  }
+  return positive + negative ? (positive - negative) / (positive + negative) : null;
+}
+
+// ---------------------
+// INDEXING
+// ---------------------
+
+/**
+ * Aggregate a restaurant's reviews for the search index.
+ * @param {Array<Object>} reviews - `reviews` docs ({ rating|stars, comment|text, createdAt })
+ * @returns {{ averageRating: number|null, reviewCount: number, ratingScore: number|null,
+ *   sentiment: { label: string, score: number, basedOn: number } | null }}
+ *   `ratingScore` is the review-count-weighted rating used for ranking
+ */
+export function summarizeReviews(reviews = []) {
+  const ratings = reviews.map(reviewRating).filter((r) => r !== null);
+  const sum = ratings.reduce((a, b) => a + b, 0);
+  const averageRating = ratings.length ? Math.round((sum / ratings.length) * 10) / 10 : null;
+  const ratingScore = ratings.length
+    ? Math.round(((PRIOR_RATING * PRIOR_WEIGHT + sum) / (PRIOR_WEIGHT + ratings.length)) * 100) / 100
+    : null;
+
+  const recent = [...reviews]
+    .sort((a, b) => (toDate(b.createdAt || b.date)?.getTime() || 0) - (toDate(a.createdAt || a.date)?.getTime() || 0))
+    .slice(0, RECENT_REVIEW_COUNT);
+
+  // Each review's mood: its stars and its words, whichever it has
+  const moods = recent
+    .map((review) => {
+      const rating = reviewRating(review);
+      const parts = [rating !== null ? (rating - 3) / 2 : null, textSentiment(reviewText(review))].filter(
+        (p) => p !== null
+      );
+      return parts.length ? parts.reduce((a, b) => a + b, 0) / parts.length : null;
+    })
+    .filter((m) => m !== null);
+
+  let sentiment = null;
+  if (moods.length) {
+    const score = Math.round((moods.reduce((a, b) => a + b, 0) / moods.length) * 100) / 100;
+    const label = score > 0.25 ? "positive" : score < -0.25 ? "negative" : "mixed";
+    sentiment = { label, score, basedOn: moods.length };
+  }
+
+  return { averageRating, reviewCount: reviews.length, ratingScore, sentiment };
+}
+
+// ---------------------
+// INTENT
+// ---------------------
+
+/**
+ * Rating constraints in free text.
+ * @param {string} text
+ * @returns {{ minRating: number|null, highlyRated: boolean }}
+ *   "4 stars and above" → { minRating: 4 }, "highly rated" / "best" → { highlyRated: true }
+ */
+export function extractRatingFromText(text = "") {
+  const t = text.toLowerCase();
+  const stars = t.match(/\b([1-5](?:\.\d)?)\s*(?:\+\s*)?(?:stars?|star rating)\b|\brated\s+(?:at least\s+|over\s+|above\s+)?([1-5](?:\.\d)?)\b/);
+  const minRating = stars ? Number(stars[1] || stars[2]) : null;
+  const highlyRated = /\b(highly[- ]rated|top[- ]rated|best[- ]rated|well[- ]reviewed|good reviews|great reviews|the best|best)\b/.test(t);
+  return { minRating, highlyRated };
+}
@@ -0,0 +1,244 @@
+// service/reservationService.js
+import admin from "firebase-admin";
+import { DEFAULT_RESERVATION_MINUTES, findFreeSetup, busyTableIds, reservedTableIds } from "./availability.js";
+import { normalizeOpeningHours, isOpenBetween } from "./openingHours.js";
+import { DEFAULT_TIMEZONE, zonedNow, isIsoDate, parseTimeOfDay, formatMinutes } from "./dateTime.js";
+import { HttpError } from "./httpError.js";
+
+/** Largest party we take through the API; bigger groups go through events. */
+export const MAX_PARTY_SIZE = 50;
+
+/**
+ * Validate and normalize the booking fields of a request body.
+ * @param {Object} body
+ * @param {boolean} [partial] - For modifications: only validate what is present
+ * @returns {{ people?: number, date?: string, time?: string }}
+ */
+export function parseBookingFields(body = {}, partial = false) {
+  const out = {};
+
+  if (body.people !== undefined || !partial) {
+    const people = Number(body.people);
+    if (!Number.isInteger(people) || people < 1 || people > MAX_PARTY_SIZE) {
+      throw new HttpError(`people must be an integer between 1 and ${MAX_PARTY_SIZE}`);
+    }
+    out.people = people;
+  }
+
+  if (body.date !== undefined || !partial) {
+    if (!isIsoDate(body.date)) throw new HttpError("date must be YYYY-MM-DD");
+    out.date = body.date;
+  }
+
+  if (body.time !== undefined || !partial) {
+    const minutes = parseTimeOfDay(body.time);
+    if (minutes === null) throw new HttpError("time must be HH:mm");
+    out.time = formatMinutes(minutes);
+  }
+
+  return out;
+}
+
+async function loadRestaurant(db, restaurantId) {
+  const userSnap = await db.collection("users").doc(String(restaurantId)).get();
+  if (!userSnap.exists || userSnap.data().role !== "hotel") {
+    throw new HttpError("Restaurant not found", 404);
+  }
+
+  const [tablesSnap, hoursSnap, sectionsSnap] = await Promise.all([
+    db.collection("tables").where("userId", "==", restaurantId).get(),
+    db.collection("openingHours").where("userId", "==", restaurantId).get(),
+    db.collection("sections").where("userId", "==", restaurantId).get(),
+  ]);
+
+  return {
+    user: { id: userSnap.id, ...userSnap.data() },
+    tables: tablesSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    sections: sectionsSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    hours: normalizeOpeningHours(hoursSnap.docs.map((d) => d.data())),
+  };
+}
+
+function assertBookable({ user, hours }, { date, time }, durationMinutes) {
+  const start = parseTimeOfDay(time);
+  // Booking dates and times are in the restaurant's own timezone, as the index reads them
+  const now = zonedNow(user.timezone || DEFAULT_TIMEZONE);
+  if (date < now.date || (date === now.date && start < now.minutes)) {
+    throw new HttpError("Cannot book a time in the past");
+  }
+  if (!isOpenBetween(hours, date, start, start + durationMinutes)) {
+    throw new HttpError("Restaurant is closed at that time", 409);
+  }
+}
+
+// Every booking for a restaurant/date reads and bumps this doc, so two
+// transactions racing for the same evening conflict and one retries.
+const lockRef = (db, restaurantId, date) =>
+  db.collection("reservation_locks").doc(`${restaurantId}_${date}`);
+
+const sameDayQuery = (db, restaurantId, date) =>
+  db
+    .collection("reservations")
+    .where("restaurantId", "==", restaurantId)
+    .where("date", "==", date);
+
+function pickTables(restaurant, reservations, { people, time }, durationMinutes) {
+  const setup = findFreeSetup(restaurant.tables, reservations, people, parseTimeOfDay(time), {
+    sections: restaurant.sections,
+    durationMinutes,
+  });
+  if (!setup) throw new HttpError("No table available for that party size and time", 409);
+  return setup;
+}
+
+/**
+ * Book a table. The smallest free table that seats the party (or, for a
+ * large party, the fewest joinable tables) is assigned inside a
+ * transaction, so concurrent requests can't double-book it.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} body - { restaurantId, people, date, time, customerName, customerPhone, customerId, notes }
+ * @returns {Promise<Object>} - The stored reservation
+ */
+export async function createReservation(db, body = {}) {
+  const { restaurantId } = body;
+  if (!restaurantId) throw new HttpError("restaurantId is required");
+  const booking = parseBookingFields(body);
+  const durationMinutes = DEFAULT_RESERVATION_MINUTES;
+
+  const restaurant = await loadRestaurant(db, restaurantId);
+  assertBookable(restaurant, booking, durationMinutes);
+
+  const ref = db.collection("reservations").doc();
+  const lock = lockRef(db, restaurantId, booking.date);
+
+  await db.runTransaction(async (tx) => {
+    await tx.get(lock);
+    const snap = await tx.get(sameDayQuery(db, restaurantId, booking.date));
+    const setup = pickTables(restaurant, snap.docs.map((d) => d.data()), booking, durationMinutes);
+
+    const data = {
+      restaurantId,
+      restaurantName: restaurant.user.restaurantName || "",
+      tableId: setup.tableIds[0],
+      tableIds: setup.tableIds,
+      ...booking,
+      durationMinutes,
+      status: "confirmed",
+      customerId: body.customerId || null,
+      customerName: body.customerName ? String(body.customerName).trim() : "",
+      customerPhone: body.customerPhone ? String(body.customerPhone).trim() : "",
+      notes: body.notes ? String(body.notes).trim() : "",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    tx.set(lock, { restaurantId, date: booking.date, version: admin.firestore.FieldValue.increment(1) }, { merge: true });
+    tx.set(ref, data);
+  });
+
+  return getReservation(db, ref.id);
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function getReservation(db, id) {
+  const snap = await db.collection("reservations").doc(String(id)).get();
+  if (!snap.exists) throw new HttpError("Reservation not found", 404);
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Move a reservation to a new date, time or party size. The table is
+ * re-assigned (keeping the current one when it still fits and is free).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} id
+ * @param {Object} body - Any of { people, date, time, notes }
+ * @returns {Promise<Object>} - The updated reservation
+ */
+export async function modifyReservation(db, id, body = {}) {
+  const changes = parseBookingFields(body, true);
+  const current = await getReservation(db, id);
+  if (current.status === "cancelled") throw new HttpError("Reservation is cancelled", 409);
+
+  const booking = {
+    people: changes.people ?? current.people,
+    date: changes.date ?? current.date,
+    time: changes.time ?? current.time,
+  };
+  const durationMinutes = current.durationMinutes || DEFAULT_RESERVATION_MINUTES;
+
+  const restaurant = await loadRestaurant(db, current.restaurantId);
+  assertBookable(restaurant, booking, durationMinutes);
+
+  const ref = db.collection("reservations").doc(current.id);
+  const locks = [...new Set([current.date, booking.date])].map((d) => lockRef(db, current.restaurantId, d));
+
+  await db.runTransaction(async (tx) => {
+    const latest = await tx.get(ref);
+    if (latest.data()?.status === "cancelled") throw new HttpError("Reservation is cancelled", 409);
+    for (const lock of locks) await tx.get(lock);
+    const snap = await tx.get(sameDayQuery(db, current.restaurantId, booking.date));
+    const others = snap.docs.filter((d) => d.id !== current.id).map((d) => d.data());
+
+    // Prefer keeping the guest's table(s) if they still work
+    const start = parseTimeOfDay(booking.time);
+    const busy = busyTableIds(others, start, start + durationMinutes);
+    const held = restaurant.tables.filter((t) => reservedTableIds(current).includes(t.id));
+    const heldStillWorks =
+      held.length > 0 &&
+      held.length === reservedTableIds(current).length &&
+      held.every((t) => !busy.has(t.id)) &&
+      held.reduce((sum, t) => sum + Number(t.numSeats || 0), 0) >= booking.people;
+    let tableIds = heldStillWorks && held.length === 1 ? reservedTableIds(current) : null;
+    if (!tableIds) {
+      // Joined tables are only kept when a smaller setup isn't free
+      const setup = findFreeSetup(restaurant.tables, others, booking.people, start, {
+        sections: restaurant.sections,
+        durationMinutes,
+      });
+      if (setup && !(heldStillWorks && setup.tableIds.length >= held.length)) tableIds = setup.tableIds;
+      else if (heldStillWorks) tableIds = reservedTableIds(current);
+      else throw new HttpError("No table available for that party size and time", 409);
+    }
+
+    const data = {
+      ...booking,
+      tableId: tableIds[0],
+      tableIds,
+      ...(body.notes !== undefined && { notes: String(body.notes).trim() }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    for (const lock of locks) {
+      tx.set(lock, { restaurantId: current.restaurantId, version: admin.firestore.FieldValue.increment(1) }, { merge: true });
+    }
+    tx.update(ref, data);
+  });
+
+  return getReservation(db, current.id);
+}
+
+/**
+ * Cancel a reservation. The doc is kept (status "cancelled") for history,
+ * which frees its table for availability checks.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} id
+ * @param {string} [reason]
+ * @returns {Promise<Object>}
+ */
+export async function cancelReservation(db, id, reason) {
+  const current = await getReservation(db, id);
+  if (current.status === "cancelled") return current;
+
+  const data = {
+    status: "cancelled",
+    cancelReason: reason ? String(reason).trim() : "",
+    cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await db.collection("reservations").doc(current.id).update(data);
+  return getReservation(db, current.id);
+}
@@ -0,0 +1,299 @@
+// service/restaurantManagement.js
+import admin from "firebase-admin";
+import { WEEKDAYS, isIsoDate, toDate, parseTimeOfDay, formatMinutes } from "./dateTime.js";
+import { HttpError } from "./httpError.js";
+
+/** Longest free-text field an owner can save (names, descriptions, URLs). */
+export const MAX_TEXT_LENGTH = 2000;
+
+/** Most items in a list field (dietary tags, joinable tables). */
+export const MAX_LIST_LENGTH = 50;
+
+// ---------------------
+// FIELD TYPES
+// Each one turns a request value into what is stored, or throws
+// ---------------------
+
+const invalid = (field, rule) => new HttpError(`${field} must be ${rule}`);
+
+const FIELD_TYPES = {
+  string(value, field) {
+    if (typeof value !== "string") throw invalid(field, "a string");
+    const s = value.trim();
+    if (s.length > MAX_TEXT_LENGTH) throw invalid(field, `at most ${MAX_TEXT_LENGTH} characters`);
+    return s;
+  },
+  number(value, field, { min = 0, max = Infinity, integer = false }) {
+    // Prices and counts arrive as JSON numbers, not "1,200" or "KES 500"
+    if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      throw invalid(field, integer ? "an integer" : "a number");
+    }
+    if (value < min || value > max) {
+      throw invalid(field, max === Infinity ? `at least ${min}` : `between ${min} and ${max}`);
+    }
+    return value;
+  },
+  boolean(value, field) {
+    if (typeof value !== "boolean") throw invalid(field, "true or false");
+    return value;
+  },
+  stringList(value, field) {
+    if (!Array.isArray(value) || value.length > MAX_LIST_LENGTH || value.some((v) => typeof v !== "string")) {
+      throw invalid(field, `a list of at most ${MAX_LIST_LENGTH} strings`);
+    }
+    return [...new Set(value.map((v) => v.trim()).filter(Boolean))];
+  },
+  // YYYY-MM-DD or a full ISO timestamp, stored as a Timestamp
+  date(value, field) {
+    const d = typeof value === "string" && (isIsoDate(value) || /^\d{4}-\d{2}-\d{2}T/.test(value)) ? new Date(value) : null;
+    if (!d || isNaN(d.getTime())) throw invalid(field, "a date (YYYY-MM-DD or ISO timestamp)");
+    return admin.firestore.Timestamp.fromDate(d);
+  },
+  time(value, field) {
+    const minutes = parseTimeOfDay(value);
+    if (minutes === null) throw invalid(field, "HH:mm");
+    return formatMinutes(minutes);
+  },
+  weekday(value, field) {
+    const day = typeof value === "number" ? WEEKDAYS[value] : WEEKDAYS.find((w) => w === String(value).toLowerCase().trim());
+    if (!day) throw invalid(field, `a weekday (${WEEKDAYS.join(", ")} or 0-6)`);
+    return day;
+  },
+};
+
+// ---------------------
+// SCHEMAS
+// `fields`: { name: { type, required?, ...type options } }
+// `check(doc)`: rules across fields, run on the doc as it will be stored
+// `uniqueBy`: field no two of the owner's docs may share
+// ---------------------
+
+export const MANAGED_SCHEMAS = {
+  tables: {
+    fields: {
+      name: { type: "string", required: true },
+      numSeats: { type: "number", integer: true, min: 0, max: 100, required: true },
+      sectionId: { type: "string" },
+      joinable: { type: "boolean" },
+      joinableWith: { type: "stringList" },
+    },
+  },
+  menuItems: {
+    fields: {
+      name: { type: "string", required: true },
+      price: { type: "number", min: 0, required: true },
+      category: { type: "string" },
+      description: { type: "string" },
+      dietaryTags: { type: "stringList" },
+      imageUrl: { type: "string" },
+    },
+  },
+  openingHours: {
+    // One doc per weekday
+    uniqueBy: "day",
+    fields: {
+      day: { type: "weekday", required: true },
+      openTime: { type: "time" },
+      closeTime: { type: "time" },
+      closed: { type: "boolean" },
+    },
+    check(doc) {
+      if (!doc.closed && (!doc.openTime || !doc.closeTime)) {
+        throw new HttpError("openTime and closeTime are required unless closed is true");
+      }
+    },
+  },
+  offers: {
+    fields: {
+      name: { type: "string", required: true },
+      description: { type: "string" },
+      price: { type: "number", min: 0 },
+      discount: { type: "number", min: 0, max: 100 },
+      dateFrom: { type: "date" },
+      dateTo: { type: "date" },
+    },
+    check(doc) {
+      const from = toDate(doc.dateFrom)?.getTime() ?? null;
+      const to = toDate(doc.dateTo)?.getTime() ?? null;
+      if (from !== null && to !== null && from > to) throw new HttpError("dateFrom must be before dateTo");
+    },
+  },
+  sections: {
+    fields: {
+      name: { type: "string", required: true },
+      description: { type: "string" },
+      allowJoining: { type: "boolean" },
+    },
+  },
+  extrareserves: {
+    fields: {
+      name: { type: "string", required: true },
+      description: { type: "string" },
+      capacity: { type: "number", integer: true, min: 0 },
+      size: { type: "string" },
+      imageUrl: { type: "string" },
+    },
+  },
+};
+
+/** Collections owners manage through the API. */
+export const MANAGED_COLLECTIONS = Object.keys(MANAGED_SCHEMAS);
+
+// Bookkeeping fields a client may send back unchanged; never taken from the body
+const SERVER_FIELDS = new Set(["id", "userId", "createdAt", "updatedAt"]);
+
+/**
+ * Validate and normalize a request body against a collection's schema.
+ * @param {string} collection - One of MANAGED_COLLECTIONS
+ * @param {Object} body
+ * @param {boolean} [partial] - For updates: only validate what is present
+ * @returns {Object} - Fields to store (null clears an optional field on update)
+ */
+export function parseManagedFields(collection, body = {}, partial = false) {
+  const { fields } = MANAGED_SCHEMAS[collection];
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError("Body must be an object");
+
+  const unknown = Object.keys(body).filter((k) => !Object.hasOwn(fields, k) && !SERVER_FIELDS.has(k));
+  if (unknown.length) throw new HttpError(`Unknown field: ${unknown.join(", ")}`);
+
+  const out = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") {
+      if (spec.required && !partial) throw new HttpError(`${field} is required`);
+      if (spec.required && value !== undefined) throw new HttpError(`${field} can't be empty`);
+      if (partial && value !== undefined) out[field] = admin.firestore.FieldValue.delete();
+      continue;
+    }
+    out[field] = FIELD_TYPES[spec.type](value, field, spec);
+  }
+  return out;
+}
+
+// ---------------------
+// CRUD (always scoped to the owner's restaurant)
+// ---------------------
+
+function schemaFor(collection) {
+  if (!Object.hasOwn(MANAGED_SCHEMAS, collection)) throw new HttpError("Unknown collection", 404);
+  return MANAGED_SCHEMAS[collection];
+}
+
+// Docs keyed by the restaurant's own id (no userId field) belong to it too, as in the indexer
+const isOwnDoc = (snap, ownerId) =>
+  snap.exists && (snap.data().userId === ownerId || (snap.id === ownerId && !snap.data().userId));
+
+const deleted = (value) => value instanceof admin.firestore.FieldValue;
+
+// The doc as it will read after the update, for the cross-field checks
+const applyChanges = (current, changes) =>
+  Object.fromEntries(Object.entries({ ...current, ...changes }).filter(([, v]) => !deleted(v)));
+
+async function loadOwnDoc(db, ownerId, collection, docId) {
+  const snap = await db.collection(collection).doc(String(docId)).get();
+  if (!isOwnDoc(snap, ownerId)) throw new HttpError("Not found", 404);
+  return snap;
+}
+
+// A table can only sit in one of the restaurant's own sections
+async function assertOwnSection(db, ownerId, data) {
+  if (typeof data.sectionId !== "string") return;
+  const snap = await db.collection("sections").doc(data.sectionId).get();
+  if (!isOwnDoc(snap, ownerId)) throw new HttpError("sectionId must be one of your sections");
+}
+
+// Stored values are compared as the field type normalizes them ("Monday" and 1 are "monday")
+function normalizedValue(spec, value, field) {
+  try {
+    return FIELD_TYPES[spec.type](value, field, spec);
+  } catch {
+    return value;
+  }
+}
+
+// e.g. a second openingHours doc for a day that already has one
+async function assertUnique(db, ownerId, collection, data, docId = null) {
+  const field = MANAGED_SCHEMAS[collection].uniqueBy;
+  if (!field || data[field] === undefined || deleted(data[field])) return;
+  const spec = MANAGED_SCHEMAS[collection].fields[field];
+  const docs = await listOwnDocs(db, ownerId, collection);
+  if (docs.some((d) => d.id !== docId && normalizedValue(spec, d[field], field) === data[field])) {
+    throw new HttpError(`${field} "${data[field]}" already exists; update that one instead`, 409);
+  }
+}
+
+/**
+ * Every doc the owner has in a collection.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} ownerId - The restaurant's user id
+ * @param {string} collection
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOwnDocs(db, ownerId, collection) {
+  schemaFor(collection);
+  const col = db.collection(collection);
+  const [byField, byId] = await Promise.all([col.where("userId", "==", ownerId).get(), col.doc(ownerId).get()]);
+  const docs = byField.docs.map((d) => ({ id: d.id, ...d.data() }));
+  if (isOwnDoc(byId, ownerId) && !docs.some((d) => d.id === ownerId)) docs.push({ id: ownerId, ...byId.data() });
+  return docs;
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} ownerId
+ * @param {string} collection
+ * @param {Object} body
+ * @returns {Promise<Object>} - The stored doc
+ */
+export async function createOwnDoc(db, ownerId, collection, body) {
+  const schema = schemaFor(collection);
+  const data = parseManagedFields(collection, body);
+  schema.check?.(data);
+  if (collection === "tables") await assertOwnSection(db, ownerId, data);
+  await assertUnique(db, ownerId, collection, data);
+
+  const ref = db.collection(collection).doc();
+  await ref.set({
+    ...data,
+    userId: ownerId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  const snap = await ref.get();
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Change some fields of one of the owner's docs.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} ownerId
+ * @param {string} collection
+ * @param {string} docId
+ * @param {Object} body
+ * @returns {Promise<Object>} - The updated doc
+ */
+export async function updateOwnDoc(db, ownerId, collection, docId, body) {
+  const schema = schemaFor(collection);
+  const changes = parseManagedFields(collection, body, true);
+  const snap = await loadOwnDoc(db, ownerId, collection, docId);
+  schema.check?.(applyChanges(snap.data(), changes));
+  if (collection === "tables") await assertOwnSection(db, ownerId, changes);
+  await assertUnique(db, ownerId, collection, changes, snap.id);
+
+  await snap.ref.update({ ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  const updated = await snap.ref.get();
+  return { id: updated.id, ...updated.data() };
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} ownerId
+ * @param {string} collection
+ * @param {string} docId
+ * @returns {Promise<void>}
+ */
+export async function deleteOwnDoc(db, ownerId, collection, docId) {
+  schemaFor(collection);
+  const snap = await loadOwnDoc(db, ownerId, collection, docId);
+  await snap.ref.delete();
+}
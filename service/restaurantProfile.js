@@ -0,0 +1,163 @@
+// service/restaurantProfile.js
+import { normalizeText } from "./textUtils.js";
+import { DEFAULT_TIMEZONE, formatMinutes } from "./dateTime.js";
+import { normalizeOpeningHours, serializeOpeningHours, isOpenAt } from "./openingHours.js";
+import { toIndexedEventSpace } from "./eventSearch.js";
+import { summarizeReviews } from "./ratings.js";
+import { toIndexedDish } from "./menu.js";
+import { indexOffers, offersValidOn } from "./offers.js";
+import { indexSections, indexExperiences } from "./sections.js";
+import { canonicalCuisine } from "./synonyms.js";
+import { toCoords } from "./geo.js";
+import { loadRestaurantBucket } from "./searchIndexer.js";
+import { summarizeCapacity } from "./tableCapacity.js";
+
+/** Menu items without a category are listed under this one, last. */
+export const UNCATEGORIZED_MENU_SECTION = "Other";
+
+// How long a restaurant's source docs are reused between profile views
+const PROFILE_CACHE_TTL_MS = 60 * 1000;
+const PROFILE_CACHE_MAX = 1000;
+
+// ---------------------
+// PARTS
+// ---------------------
+
+/**
+ * Menu grouped by category, categories and dishes in name order.
+ * @param {Array<Object>} menuItems - `menuItems` docs
+ * @returns {Array<{ category: string, items: Array<Object> }>}
+ */
+export function groupMenu(menuItems = []) {
+  const groups = new Map();
+  for (const item of menuItems) {
+    const dish = toIndexedDish(item);
+    if (!dish.name) continue;
+    const label = String(item.category || item.menuCategory || "").trim() || UNCATEGORIZED_MENU_SECTION;
+    const key = normalizeText(label);
+    if (!groups.has(key)) groups.set(key, { category: label, items: [] });
+    groups.get(key).items.push({
+      id: dish.id,
+      name: dish.name,
+      description: String(item.description || ""),
+      price: dish.price,
+      dietaryTags: dish.dietaryTags,
+      imageUrl: item.imageUrl || item.image || "",
+    });
+  }
+  const other = normalizeText(UNCATEGORIZED_MENU_SECTION);
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === other) - (b === other) || a.localeCompare(b))
+    .map(([, group]) => ({ ...group, items: group.items.sort((a, b) => a.name.localeCompare(b.name)) }));
+}
+
+/**
+ * Opening hours as "HH:mm" intervals per weekday.
+ * @param {Object|null} serialized - From serializeOpeningHours
+ * @returns {Object<string, Array<{ open: string, close: string }>> | null} - Empty list = closed that day
+ */
+export const formatOpeningHours = (serialized) =>
+  serialized
+    ? Object.fromEntries(
+        Object.entries(serialized).map(([day, intervals]) => [
+          day,
+          intervals.map(({ open, close }) => ({ open: formatMinutes(open), close: formatMinutes(close) })),
+        ])
+      )
+    : null;
+
+// ---------------------
+// PROFILE
+// ---------------------
+
+/**
+ * Public profile of a restaurant. Only fields meant for diners are copied
+ * from the user doc, so email, role, tokens and the like never leave the server.
+ * @param {string} userId
+ * @param {Object} bucket - Source docs grouped by collection name
+ * @param {{ now?: Date }} [options]
+ * @returns {Object|null} - Null when the user isn't a restaurant
+ */
+export function buildRestaurantProfile(userId, bucket, { now = new Date() } = {}) {
+  const userDoc = bucket.users?.[0];
+  if (!userDoc || userDoc.role !== "hotel") return null;
+
+  const cuisineDoc = bucket.restaurantcuisine?.[0] || {};
+  const cuisines = [...new Set((cuisineDoc.cuisines || []).map(canonicalCuisine).filter(Boolean))];
+  const timezone = userDoc.timezone || DEFAULT_TIMEZONE;
+
+  let averageCost = Number(userDoc.averageCost || userDoc.averagecost || 0);
+  const menu = bucket.menuItems || [];
+  if (!averageCost && menu.length) {
+    const prices = menu.map((m) => Number(m.price || 0)).filter(Boolean);
+    if (prices.length)
+      averageCost = Math.round(prices.reduce((a, b) => a + b, 0) / prices.length);
+  }
+
+  const coverImage = bucket.coverimage?.[0]?.coverImageUrl || "";
+  const logoImage = bucket.logoimage?.[0]?.logoImageUrl || "";
+
+  const openingHours = serializeOpeningHours(normalizeOpeningHours(bucket.openingHours || []));
+  const { averageRating, reviewCount, sentiment } = summarizeReviews(bucket.reviews || []);
+  const offers = offersValidOn({ offers: indexOffers(bucket.offers || [], timezone, now), timezone }, null, now);
+
+  return {
+    id: userId,
+    restaurantName: userDoc.restaurantName || "",
+    location: userDoc.location || "",
+    description: userDoc.description || "",
+    coords: toCoords(userDoc.coords?.lat, userDoc.coords?.lng),
+    timezone,
+    cuisines,
+    averageCost,
+    image: coverImage || logoImage,
+    coverImage,
+    logoImage,
+    menu: groupMenu(menu),
+    openingHours: formatOpeningHours(openingHours),
+    isOpenNow: isOpenAt({ openingHours, timezone }, null, now),
+    sections: indexSections(bucket.sections || [], bucket.tables || []),
+    ...summarizeCapacity(bucket.tables || [], bucket.sections || []),
+    amenities: (bucket.amenities || []).map((a) => String(a.name || a)).filter(Boolean),
+    experiences: indexExperiences(bucket.experiences || []),
+    offers,
+    rating: { averageRating, reviewCount, sentiment },
+    eventSpaces: (bucket.extrareserves || []).map(toIndexedEventSpace),
+  };
+}
+
+/**
+ * Load and build one restaurant's public profile.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - Null when there is no such restaurant
+ */
+export async function getRestaurantProfile(db, userId) {
+  return buildRestaurantProfile(userId, await loadRestaurantBucket(db, userId));
+}
+
+/**
+ * getRestaurantProfile with the source docs cached for a minute, so repeat
+ * views of a page don't each run two queries per source collection. The
+ * profile itself is rebuilt per call: open-now and valid offers follow the clock.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ ttlMs?: number, now?: () => number }} [options]
+ * @returns {((userId: string) => Promise<Object|null>) & { forget: (userId: string) => void }}
+ *   `forget` drops a restaurant after its owner edits it
+ */
+export function createProfileLoader(db, { ttlMs = PROFILE_CACHE_TTL_MS, now = Date.now } = {}) {
+  const cache = new Map();
+  const load = async (userId) => {
+    let hit = cache.get(userId);
+    if (!hit || hit.expiresAt <= now()) {
+      const bucket = await loadRestaurantBucket(db, userId);
+      cache.delete(userId);
+      if (cache.size >= PROFILE_CACHE_MAX) cache.delete(cache.keys().next().value);
+      hit = { bucket, expiresAt: now() + ttlMs };
+      cache.set(userId, hit);
+    }
+    return buildRestaurantProfile(userId, hit.bucket, { now: new Date(now()) });
+  };
+  load.forget = (userId) => cache.delete(userId);
+  return load;
+}
@@ -1,6 +1,7 @@
 // backend/restaurantService.js
 import admin from "firebase-admin";
 import serviceAccount from "./serviceAccountKey.json" assert { type: "json" };
+import { toDate } from "./dateTime.js";
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -109,13 +110,6 @@ function safeParseJSON(maybe) {
   }
 }
 
-function parseTimestamp(val) {
-  if (!val) return null;
-  if (typeof val.toDate === "function") return val.toDate();
-  const d = new Date(val);
-  return isNaN(d.getTime()) ? null : d;
-}
-
 function extractPeopleFromText(text = "") {
   const match = text.match(/\b(\d{1,2})\s*(people|persons|guests|pax)\b/i);
   return match ? Number(match[1]) : null;
@@ -207,8 +201,8 @@ function buildRestaurantProfile(userId, bucket) {
     id: o.id,
     name: o.name,
     price: o.price,
-    from: parseTimestamp(o.dateFrom),
-    to: parseTimestamp(o.dateTo),
+    from: toDate(o.dateFrom),
+    to: toDate(o.dateTo),
   }));
 
   // 🔹 Filter images by restaurant userId
@@ -0,0 +1,278 @@
+// service/searchEngine.js
+import { normalizeText, normalizeCuisine } from "./textUtils.js";
+import { SEATING_SYNONYMS } from "./sections.js";
+
+// ---------------------
+// TOKENS
+// ---------------------
+
+// Plural-insensitive: "burgers" and "burger" are the same token
+const stem = (token) => (token.length > 3 && token.endsWith("s") && !token.endsWith("ss") ? token.slice(0, -1) : token);
+
+/**
+ * Split free text into normalized word tokens.
+ * @param {*} text
+ * @returns {string[]} - e.g. "Rooftop Bars & Grill" → ["rooftop", "bar", "grill"]
+ */
+export const tokenize = (text) =>
+  normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stem);
+
+/**
+ * What each searchable field of a restaurants_search doc contributes.
+ * Later fields (dishes, sections, ...) only need an entry here.
+ */
+export const INDEXED_FIELDS = {
+  name: (r) => [r.restaurantName],
+  location: (r) => [r.location],
+  cuisine: (r) => (r.cuisines || []).map(normalizeCuisine),
+  amenity: (r) => r.amenities || [],
+  vibe: (r) => r.vibes || [],
+  meal: (r) => r.meals || [],
+  dish: (r) => (r.dishes || []).flatMap((d) => [d.name, d.category]),
+  eventSpace: (r) => (r.eventSpaces || []).map((s) => s.name),
+  section: (r) => (r.sections || []).flatMap((s) => [s.name, s.description]),
+  experience: (r) => (r.experiences || []).map((e) => e.description),
+};
+
+const fieldTokens = (r, field) => INDEXED_FIELDS[field](r).flatMap(tokenize);
+
+/** Whole names (not tokens) collected per field, used as fuzzy-match vocabulary. */
+export const TERM_FIELDS = {
+  location: (r) => String(r.location || "").split(",").map(normalizeText).filter(Boolean),
+  cuisine: (r) => (r.cuisines || []).map(normalizeCuisine).filter(Boolean),
+};
+
+// Docs are immutable once indexed, so their token sets can be memoized
+const TOKEN_CACHE = new WeakMap();
+
+/**
+ * Every token of a restaurants_search doc, across all indexed fields.
+ * @param {Object} r
+ * @returns {Set<string>}
+ */
+export function documentTokens(r) {
+  let tokens = TOKEN_CACHE.get(r);
+  if (!tokens) {
+    tokens = new Set(Object.keys(INDEXED_FIELDS).flatMap((field) => fieldTokens(r, field)));
+    TOKEN_CACHE.set(r, tokens);
+  }
+  return tokens;
+}
+
+// A search checks the same few keywords against every candidate
+const KEYWORD_TOKENS = new Map();
+const MAX_KEYWORD_TOKENS = 1000;
+
+function keywordTokens(keyword) {
+  let tokens = KEYWORD_TOKENS.get(keyword);
+  if (!tokens) {
+    if (KEYWORD_TOKENS.size >= MAX_KEYWORD_TOKENS) KEYWORD_TOKENS.clear();
+    tokens = tokenize(keyword);
+    KEYWORD_TOKENS.set(keyword, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * True when every word of `keyword` is a token of the doc ("rooftop bar"
+ * needs both words; "bar" no longer matches "barbecue").
+ * @param {Object} r
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+export function matchesKeyword(r, keyword) {
+  const wanted = keywordTokens(keyword);
+  if (!wanted.length) return false;
+  const tokens = documentTokens(r);
+  return wanted.every((t) => tokens.has(t));
+}
+
+// ---------------------
+// INVERTED INDEX
+// ---------------------
+
+/** Indexed fields scoreVibe (and the seating fallback) looks at. */
+export const VIBE_FIELDS = ["vibe", "amenity", "section", "experience"];
+
+const intersect = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  return new Set([...small].filter((id) => large.has(id)));
+};
+
+const union = (sets) => {
+  const out = new Set();
+  sets.forEach((set) => set.forEach((id) => out.add(id)));
+  return out;
+};
+
+/**
+ * In-process inverted index over restaurants_search docs.
+ * @returns {Object}
+ */
+export function createSearchEngine() {
+  const docs = new Map();
+  // field → token → Set<restaurantId>
+  const postings = new Map(Object.keys(INDEXED_FIELDS).map((field) => [field, new Map()]));
+  // field → name → how many docs use it
+  const terms = new Map(Object.keys(TERM_FIELDS).map((field) => [field, new Map()]));
+
+  const countTerms = (doc, delta) => {
+    for (const [field, counts] of terms) {
+      for (const term of new Set(TERM_FIELDS[field](doc))) {
+        const n = (counts.get(term) || 0) + delta;
+        if (n > 0) counts.set(term, n);
+        else counts.delete(term);
+      }
+    }
+  };
+
+  const unindex = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const field of postings.keys()) {
+      for (const token of fieldTokens(doc, field)) {
+        const ids = postings.get(field).get(token);
+        ids?.delete(id);
+        if (ids && !ids.size) postings.get(field).delete(token);
+      }
+    }
+    countTerms(doc, -1);
+    docs.delete(id);
+  };
+
+  const upsert = (doc) => {
+    const id = doc?.restaurantId;
+    if (!id) return;
+    unindex(id);
+    docs.set(id, doc);
+    countTerms(doc, 1);
+    for (const [field, index] of postings) {
+      for (const token of fieldTokens(doc, field)) {
+        if (!index.has(token)) index.set(token, new Set());
+        index.get(token).add(id);
+      }
+    }
+  };
+
+  /**
+   * Ids whose `field` contains every token; with `prefix`, the last token may
+   * be the start of a word ("ital" → "italian") since users type partial words.
+   */
+  const matchAll = (field, tokens, { prefix = true } = {}) => {
+    const index = postings.get(field);
+    if (!index || !tokens.length) return new Set();
+    let result = null;
+    tokens.forEach((token, i) => {
+      let ids = index.get(token) || new Set();
+      if (prefix && i === tokens.length - 1) {
+        ids = new Set(ids);
+        for (const [t, more] of index) if (t.startsWith(token)) more.forEach((id) => ids.add(id));
+      }
+      result = result ? intersect(result, ids) : ids;
+    });
+    return result;
+  };
+
+  // Ids having every token in any field (what matchesKeyword checks per doc)
+  const matchAnyField = (tokens) => {
+    let result = null;
+    for (const token of tokens) {
+      const ids = new Set();
+      for (const index of postings.values()) index.get(token)?.forEach((id) => ids.add(id));
+      result = result ? intersect(result, ids) : ids;
+    }
+    return result || new Set();
+  };
+
+  return {
+    upsert,
+    remove: unindex,
+    load(list) {
+      docs.clear();
+      postings.forEach((index) => index.clear());
+      terms.forEach((counts) => counts.clear());
+      list.forEach(upsert);
+    },
+    get: (id) => docs.get(id) || null,
+    all: () => [...docs.values()],
+    size: () => docs.size,
+    matchAll,
+    /** Distinct names in a TERM_FIELDS field, e.g. every area in the index. */
+    terms: (field) => [...(terms.get(field)?.keys() || [])],
+
+    /**
+     * Narrow the docs worth scoring for an intent, by token: cuisine, dish, place,
+     * vibe (whole word or prefix) and keywords (every word of any keyword).
+     * The only hits this drops that the scorers would accept are mid-word
+     * substrings ("lands" in "westlands"). Pass `{}` for every doc.
+     * @param {Object} intent
+     * @returns {Object[]}
+     */
+    candidates(intent = {}) {
+      if (intent.eventType) return [...docs.values()];
+      const sets = [];
+
+      const cuisines = (intent.cuisines?.length ? intent.cuisines : [intent.cuisine]).filter(Boolean);
+      if (cuisines.length) {
+        sets.push(union(cuisines.map((c) => matchAll("cuisine", tokenize(normalizeCuisine(c))))));
+      }
+      // A dish is on the menu, or failing that the restaurant's cuisine (see scoreDish)
+      const dishes = (intent.dishes || []).filter(Boolean);
+      if (dishes.length) {
+        sets.push(union(dishes.flatMap((d) => [matchAll("dish", tokenize(d), { prefix: false }), matchAll("cuisine", tokenize(normalizeCuisine(d)))])));
+      }
+      // Once relaxation widens the place (nearby areas, map radius) it can't be narrowed by name
+      if (intent.place && !intent.nearbyPlaces?.length && !intent.placeOrigin) {
+        sets.push(matchAll("location", tokenize(intent.place)));
+      }
+      if (intent.vibe) {
+        const vibes = [intent.vibe, ...(intent.vibeAlternatives || [])];
+        sets.push(union(vibes.flatMap((v) => VIBE_FIELDS.map((field) => matchAll(field, tokenize(v))))));
+      }
+      // A section, or failing that a vibe or amenity, under any of the seating's names (see scoreSeating)
+      if (intent.seating) {
+        const phrases = [intent.seating, ...(SEATING_SYNONYMS[intent.seating] || [])];
+        sets.push(union(phrases.flatMap((p) => VIBE_FIELDS.map((field) => matchAll(field, tokenize(p))))));
+      }
+      const keywords = (intent.keywords || []).map(tokenize).filter((t) => t.length);
+      if (keywords.length) sets.push(union(keywords.map(matchAnyField)));
+
+      if (!sets.length) return [...docs.values()];
+      const ids = sets.sort((a, b) => a.size - b.size).reduce(intersect);
+      return [...ids].map((id) => docs.get(id));
+    },
+  };
+}
+
+/**
+ * Keep an engine in sync with the restaurants_search collection. The first
+ * snapshot loads everything; later ones apply only the changed docs.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} engine - From createSearchEngine
+ * @param {string} [collection]
+ * @returns {{ ready: Promise<void>, isReady: () => boolean, unsubscribe: () => void }}
+ */
+export function syncSearchEngine(db, engine, collection = "restaurants_search") {
+  let loaded = false;
+  let markReady;
+  const ready = new Promise((resolve) => {
+    markReady = () => {
+      loaded = true;
+      resolve();
+    };
+  });
+  const unsubscribe = db.collection(collection).onSnapshot(
+    (snap) => {
+      for (const change of snap.docChanges()) {
+        if (change.type === "removed") engine.remove(change.doc.id);
+        else engine.upsert({ restaurantId: change.doc.id, ...change.doc.data() });
+      }
+      markReady();
+    },
+    (err) => console.error("❌ Search engine sync error:", err)
+  );
+  return { ready, isReady: () => loaded, unsubscribe };
+}
@@ -0,0 +1,318 @@
+// service/searchIndexer.js
+import { createHash } from "node:crypto";
+import admin from "firebase-admin";
+import { toCoords } from "./geo.js";
+import { DEFAULT_TIMEZONE } from "./dateTime.js";
+import { toIndexedEventSpace } from "./eventSearch.js";
+import { canonicalCuisine } from "./synonyms.js";
+import { summarizeReviews } from "./ratings.js";
+import { indexMenu, toIndexedDish } from "./menu.js";
+import { summarizeDietary } from "./dietary.js";
+import { indexOffers } from "./offers.js";
+import { indexSections, indexExperiences } from "./sections.js";
+import { capacityTables, summarizeCapacity } from "./tableCapacity.js";
+import {
+  normalizeOpeningHours,
+  serializeOpeningHours,
+  servedMeals,
+} from "./openingHours.js";
+
+export const SEARCH_INDEX_COLLECTION = "restaurants_search";
+
+/** Collections a restaurants_search doc is built from, keyed by userId (or doc id). */
+export const SOURCE_COLLECTIONS = [
+  "users", "restaurantcuisine", "amenities", "mealtimes", "offers",
+  "tables", "experiences", "menuItems", "openingHours", "reviews",
+  "sections", "extrareserves", "coverimage", "logoimage",
+];
+
+/** Firestore rejects batches over 500 writes; stay clear of it. */
+export const MAX_BATCH_WRITES = 450;
+
+/** Source changes within this window are folded into one rebuild per restaurant. */
+export const INDEX_DEBOUNCE_MS = 2000;
+
+// ---------------------
+// HELPERS
+// ---------------------
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Content hash of an index entry, stored alongside it so unchanged
+ * restaurants aren't rewritten.
+ * @param {Object} entry - From buildIndexEntry
+ * @returns {string}
+ */
+export const indexFingerprint = (entry) =>
+  createHash("sha1").update(stableStringify(entry)).digest("hex");
+
+// ---------------------
+// BUILD ONE ENTRY
+// ---------------------
+
+/**
+ * Build the restaurants_search doc for one restaurant.
+ * @param {string} uid - Restaurant (hotel user) id
+ * @param {Object} bucket - Source docs grouped by collection name
+ * @returns {Object|null} - Null when the user isn't a restaurant
+ */
+export function buildIndexEntry(uid, bucket) {
+  const user = bucket.users?.[0];
+  if (!user || user.role !== "hotel") return null;
+
+  const restaurantName = user.restaurantName || "";
+  const location = user.location || "";
+
+  // Canonical labels, so "Sea Food" and "seafood" restaurants are found alike
+  const cuisines = [...new Set((bucket.restaurantcuisine?.[0]?.cuisines || []).map(canonicalCuisine).filter(Boolean))];
+  const image = bucket.coverimage?.[0]?.coverImageUrl || bucket.logoimage?.[0]?.logoImageUrl || "";
+  let averageCost = Number(user.averageCost || 0);
+  const menu = bucket.menuItems || [];
+  if (!averageCost && menu.length) {
+    const prices = menu.map(m => Number(m.price || 0)).filter(Boolean);
+    if (prices.length) averageCost = Math.round(prices.reduce((a,b) => a+b,0)/prices.length);
+  }
+
+  // Tables travel with the entry so search can say which setup a party would get
+  const tables = capacityTables(bucket.tables || [], bucket.sections || []);
+  const { maxSeats, totalSeats, combinableSeats } = summarizeCapacity(tables);
+  const amenities = (bucket.amenities || []).map(a => String(a.name || a).toLowerCase());
+  const vibes = (bucket.experiences || []).map(e => String(e.name || "").toLowerCase());
+  const experiences = indexExperiences(bucket.experiences || []);
+  const sections = indexSections(bucket.sections || [], bucket.tables || []);
+  // Written by scripts/geocodeRestaurants.js
+  const coords = toCoords(user.coords?.lat, user.coords?.lng);
+  const openingHours = serializeOpeningHours(normalizeOpeningHours(bucket.openingHours || []));
+  const meals = servedMeals(bucket.mealtimes || []);
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const eventSpaces = (bucket.extrareserves || []).map(toIndexedEventSpace);
+  const { averageRating, reviewCount, ratingScore, sentiment } = summarizeReviews(bucket.reviews || []);
+  const dishes = indexMenu(menu);
+  const offers = indexOffers(bucket.offers || [], timezone);
+  // Counted over the whole menu, not just the dishes kept in the index
+  const { dietary, dietaryVenue } = summarizeDietary({ dishes: menu.map(toIndexedDish), cuisines });
+
+  return {
+    restaurantId: uid,
+    restaurantName,
+    location,
+    cuisines,
+    averageCost,
+    maxSeats,
+    totalSeats,
+    combinableSeats,
+    tables,
+    image,
+    amenities,
+    vibes,
+    experiences,
+    sections,
+    coords,
+    openingHours,
+    meals,
+    timezone,
+    eventSpaces,
+    averageRating,
+    reviewCount,
+    ratingScore,
+    sentiment,
+    dishes,
+    dietary,
+    dietaryVenue,
+    offers,
+  };
+}
+
+// ---------------------
+// LOADING
+// ---------------------
+
+/**
+ * Load the source docs of a single restaurant (the incremental path; the
+ * full rebuild loads every collection at once instead).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} uid
+ * @returns {Promise<Object>} - Bucket in the loadAllCollectionsByUserId shape
+ */
+export async function loadRestaurantBucket(db, uid) {
+  const bucket = {};
+  await Promise.all(
+    SOURCE_COLLECTIONS.map(async (name) => {
+      const col = db.collection(name);
+      const [byField, byId] = await Promise.all([
+        name === "users" ? { docs: [] } : col.where("userId", "==", uid).get(),
+        col.doc(uid).get(),
+      ]);
+      const docs = byField.docs.map((d) => ({ id: d.id, ...d.data() }));
+      // Docs keyed by the user id itself (no userId field), as the full loader allows
+      const own = byId.exists ? byId.data() : null;
+      if (own && (name === "users" || !own.userId) && !docs.some((d) => d.id === uid)) {
+        docs.push({ id: uid, ...own });
+      }
+      if (docs.length) bucket[name] = docs;
+    })
+  );
+  return bucket;
+}
+
+// ---------------------
+// WRITING
+// ---------------------
+
+/**
+ * Apply index writes in batches of at most MAX_BATCH_WRITES.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ set?: Object[], remove?: string[] }} writes - Entries to write, ids to delete
+ * @returns {Promise<number>} - Batches committed
+ */
+export async function commitIndexWrites(db, { set = [], remove = [] }) {
+  const col = db.collection(SEARCH_INDEX_COLLECTION);
+  const ops = [
+    ...set.map((entry) => (batch) =>
+      batch.set(col.doc(entry.restaurantId), {
+        ...entry,
+        fingerprint: indexFingerprint(entry),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    ),
+    ...remove.map((id) => (batch) => batch.delete(col.doc(id))),
+  ];
+
+  let batches = 0;
+  for (let i = 0; i < ops.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    ops.slice(i, i + MAX_BATCH_WRITES).forEach((op) => op(batch));
+    await batch.commit();
+    batches++;
+  }
+  return batches;
+}
+
+/**
+ * Rebuild every restaurants_search doc from preloaded source data, writing
+ * only the ones whose content changed and removing ones that no longer
+ * belong (deleted restaurants, users no longer role "hotel").
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} byUser - From loadAllCollectionsByUserId; must be a complete
+ *   read, since any restaurant missing from it is removed
+ * @returns {Promise<{ indexed: number, written: number, unchanged: number, removed: number, batches: number }>}
+ */
+export async function rebuildFullIndex(db, byUser) {
+  const existingSnap = await db.collection(SEARCH_INDEX_COLLECTION).get();
+  const existing = new Map(existingSnap.docs.map((d) => [d.id, d.data().fingerprint]));
+
+  const set = [];
+  let indexed = 0;
+  for (const [uid, bucket] of Object.entries(byUser)) {
+    const entry = buildIndexEntry(uid, bucket);
+    if (!entry) continue;
+    indexed++;
+    if (existing.get(uid) !== indexFingerprint(entry)) set.push(entry);
+    existing.delete(uid);
+  }
+  const remove = [...existing.keys()];
+
+  const batches = await commitIndexWrites(db, { set, remove });
+  return { indexed, written: set.length, unchanged: indexed - set.length, removed: remove.length, batches };
+}
+
+/**
+ * Rebuild the restaurants_search doc of one restaurant.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} uid
+ * @returns {Promise<"updated"|"unchanged"|"removed"|"skipped">}
+ */
+export async function rebuildRestaurantIndex(db, uid) {
+  const [bucket, current] = await Promise.all([
+    loadRestaurantBucket(db, uid),
+    db.collection(SEARCH_INDEX_COLLECTION).doc(uid).get(),
+  ]);
+  const entry = buildIndexEntry(uid, bucket);
+
+  if (!entry) {
+    if (!current.exists) return "skipped";
+    await commitIndexWrites(db, { remove: [uid] });
+    return "removed";
+  }
+  if (current.exists && current.data().fingerprint === indexFingerprint(entry)) return "unchanged";
+
+  await commitIndexWrites(db, { set: [entry] });
+  return "updated";
+}
+
+// ---------------------
+// CHANGE LISTENERS
+// ---------------------
+
+/**
+ * Listen to every source collection and rebuild only the restaurants whose
+ * docs changed. The initial snapshot of each listener is skipped (startup
+ * runs a full rebuild). Attach the listeners before that rebuild starts and
+ * pass it as `startAfter`: changes made while it runs are queued and applied
+ * once it settles, instead of being lost.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ debounceMs?: number, startAfter?: Promise, onChange?: (uids: string[]) => void,
+ *   onRebuilt?: (uid: string, status: string) => void }} [options]
+ * @returns {() => void} - Stops listening
+ */
+export function watchSourceCollections(
+  db,
+  { debounceMs = INDEX_DEBOUNCE_MS, startAfter = Promise.resolve(), onChange, onRebuilt } = {}
+) {
+  const pending = new Set();
+  let timer = null;
+  // Whether the full rebuild succeeds or not, queued changes still get applied
+  let running = Promise.resolve(startAfter).catch(() => {});
+
+  const flush = () => {
+    timer = null;
+    const uids = [...pending];
+    pending.clear();
+    onChange?.(uids);
+    // Rebuilds run one after another so a burst can't overlap itself
+    running = running.then(async () => {
+      for (const uid of uids) {
+        try {
+          const status = await rebuildRestaurantIndex(db, uid);
+          onRebuilt?.(uid, status);
+        } catch (err) {
+          console.error("❌ Incremental index error for", uid, err);
+        }
+      }
+    });
+  };
+
+  const unsubscribers = SOURCE_COLLECTIONS.map((name) => {
+    let initial = true;
+    return db.collection(name).onSnapshot(
+      (snap) => {
+        if (initial) {
+          initial = false;
+          return;
+        }
+        for (const change of snap.docChanges()) {
+          const data = change.doc.data() || {};
+          const uid = name === "users" ? change.doc.id : data.userId || change.doc.id;
+          if (uid) pending.add(uid);
+        }
+        if (pending.size && !timer) timer = setTimeout(flush, debounceMs);
+      },
+      (err) => console.error(`❌ ${name} listener error:`, err)
+    );
+  });
+
+  return () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    if (timer) clearTimeout(timer);
+  };
+}
@@ -0,0 +1,360 @@
+// service/searchRanking.js
+import { normalizeText, normalizeCuisine, containsWord } from "./textUtils.js";
+import { haversineKm, toCoords } from "./geo.js";
+import { isOpenAt, servesMeal } from "./openingHours.js";
+import { parseTimeOfDay } from "./dateTime.js";
+import { matchesKeyword } from "./searchEngine.js";
+import { HIGHLY_RATED_MIN } from "./ratings.js";
+import { matchDishes, MAX_MATCHING_DISHES } from "./menu.js";
+import { dietaryMatches, dishSuits, DIETARY_PLENTY } from "./dietary.js";
+import { offersValidOn, offerMatches } from "./offers.js";
+import { matchSections, mentionsSeating } from "./sections.js";
+import { findTableSetup } from "./tableCapacity.js";
+
+/**
+ * How much each intent field contributes to a restaurant's score.
+ * A field only counts when the intent actually asks for it.
+ */
+export const SCORE_WEIGHTS = {
+  place: 30,
+  cuisine: 25,
+  dish: 25,
+  dietary: 20,
+  vibe: 15,
+  seating: 15,
+  budget: 15,
+  people: 10,
+  keywords: 5,
+  distance: 20,
+  hours: 10,
+  rating: 15,
+  offer: 15,
+};
+
+/**
+ * Grade how well `text` matches `query`.
+ * @param {string} text - Normalized candidate text
+ * @param {string} query - Normalized query text
+ * @returns {number} - 1 exact, 0.8 whole word, 0.5 substring, 0 no match
+ */
+export const matchStrength = (text, query) => {
+  if (!text || !query) return 0;
+  if (text === query) return 1;
+  if (containsWord(text, query)) return 0.8;
+  if (text.includes(query)) return 0.5;
+  return 0;
+};
+
+const bestMatch = (texts, query, normalizer = normalizeText) =>
+  texts.reduce((best, t) => Math.max(best, matchStrength(normalizer(t), query)), 0);
+
+// ----------------------------
+// Per-field scorers (0..1)
+// ----------------------------
+const placeStrength = (location, query) => {
+  // "Kilimani, Nairobi" is an exact hit for "kilimani"
+  if (location.split(",").some((part) => part.trim() === query)) return 1;
+  return matchStrength(location, query);
+};
+
+export function scorePlace(r, { place, nearbyPlaces = [], placeOrigin, placeRadiusKm }) {
+  const location = normalizeText(r.location);
+  const direct = placeStrength(location, normalizeText(place));
+  if (direct) return direct;
+  // Neighbouring areas (added by search relaxation) count for less
+  const nearby = nearbyPlaces.reduce(
+    (best, p) => Math.max(best, placeStrength(location, normalizeText(p))),
+    0
+  );
+  if (nearby) return nearby * 0.4;
+  // Just across the boundary: close to the area's centre on the map
+  const coords = toCoords(r.coords?.lat, r.coords?.lng);
+  if (placeOrigin && coords && haversineKm(placeOrigin, coords) <= placeRadiusKm) return 0.4;
+  return 0;
+}
+
+export function scoreCuisine(r, cuisines) {
+  // Any of the requested cuisines will do ("italian or pizza")
+  return cuisines.reduce(
+    (best, c) => Math.max(best, bestMatch(r.cuisines || [], normalizeCuisine(c), normalizeCuisine)),
+    0
+  );
+}
+
+export function scoreVibe(r, vibe, alternatives = []) {
+  // Synonyms the user actually said ("date night" for romantic) count too
+  if (alternatives.length) {
+    return Math.max(...[vibe, ...alternatives].map((v) => scoreVibe(r, v)));
+  }
+  const query = normalizeText(vibe);
+  const sources = [
+    [r.vibes || [], 1],
+    [r.amenities || [], 0.9],
+    [(r.experiences || []).flatMap((e) => [e.name || "", e.description || ""]), 0.9],
+    [(r.sections || []).flatMap((s) => [s.name || "", s.description || ""]), 0.8],
+  ];
+  return sources.reduce(
+    (best, [texts, factor]) => Math.max(best, bestMatch(texts, query) * factor),
+    0
+  );
+}
+
+// Seating mentioned only in vibes/amenities: there is one, but not where or how big
+const SEATING_MENTION_SCORE = 0.6;
+// A matching section whose tables aren't on file
+const UNKNOWN_SECTION_SEATS_SCORE = 0.7;
+
+export function scoreSeating(r, seating, people, match = matchSections(r, seating, people)) {
+  if (match.fits) return 1;
+  if (match.fits === false) return 0; // the section exists, but no table there takes the party
+  if (match.sections.length) return UNKNOWN_SECTION_SEATS_SCORE;
+  return mentionsSeating(r, seating) ? SEATING_MENTION_SCORE : 0;
+}
+
+// A restaurant labelled with the dish as its cuisine ("pizza") but no menu
+// on file still counts, below one that lists the dish
+const CUISINE_AS_DISH_FACTOR = 0.6;
+
+export function scoreDish(r, dishes, match = matchDishes(r, dishes)) {
+  if (match.strength) return match.strength;
+  return scoreCuisine(r, dishes) * CUISINE_AS_DISH_FACTOR;
+}
+
+// Every requested diet must be catered for: a vegan who is also allergic to
+// nuts can't eat at a place with only one of the two
+export function scoreDietary(r, diets, matches = dietaryMatches(r, diets)) {
+  return Math.min(
+    ...diets.map((diet) => {
+      const { dishes, restaurantWide } = matches[diet];
+      if (restaurantWide) return 1;
+      return dishes ? 0.5 + 0.5 * Math.min(1, dishes / DIETARY_PLENTY) : 0;
+    })
+  );
+}
+
+export function scoreBudget(r, maxBudget, minBudget = null, cost = Number(r.averageCost || 0)) {
+  if (!cost) return 0.5; // unknown price: keep it, but don't favour it
+  if (minBudget && cost < minBudget) return 0;
+  if (!maxBudget) return 1;
+  if (cost > maxBudget) return 0;
+  // Closer to the stated budget ranks higher than far below it
+  return 0.5 + 0.5 * (cost / maxBudget);
+}
+
+// Joined tables work, but a single table that fits is nicer
+const JOINED_TABLES_FACTOR = 0.8;
+
+export function scorePeople(r, people, setup = tableSetupFor(r, people)) {
+  if (!setup) return 0;
+  // A table for 4 is a better fit for 4 guests than a table for 20
+  const fit = 0.5 + 0.5 * (people / setup.seats);
+  return setup.joined ? fit * JOINED_TABLES_FACTOR : fit;
+}
+
+/**
+ * The table setup a party would get at an indexed restaurant.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {number} people
+ * @param {Array<Object>|null} [sections] - Prefer tables in these (the seating asked for)
+ * @returns {Object|null} - See findTableSetup; entries indexed before tables
+ *   were stored fall back to their largest table
+ */
+export function tableSetupFor(r, people, sections = null) {
+  if (sections?.length && r.tables) {
+    const keys = sections.flatMap((s) => [s.id, s.name].filter(Boolean).map(normalizeText));
+    const inSection = findTableSetup(r.tables.filter((t) => keys.includes(t.section)), people);
+    if (inSection) return inSection;
+  }
+  if (r.tables) return findTableSetup(r.tables, people);
+  const seats = Number(r.maxSeats || 0);
+  return seats >= people ? { tableIds: [], tables: [], seats, joined: false, section: null } : null;
+}
+
+export function scoreDistance(r, distanceKm, radiusKm) {
+  if (distanceKm === null || distanceKm > radiusKm) return 0;
+  return 0.2 + 0.8 * (1 - distanceKm / radiusKm);
+}
+
+// Unknown hours (nothing published) are kept, but below confirmed matches
+const UNKNOWN_HOURS_SCORE = 0.3;
+
+export function scoreHours(r, { openNow, openAfter, mealtime, now, isOpenNow = isOpenAt(r, null, now) }) {
+  const checks = [
+    openNow ? isOpenNow : undefined,
+    openAfter ? isOpenAt(r, parseTimeOfDay(openAfter), now) : undefined,
+    mealtime ? servesMeal(r, mealtime) : undefined,
+  ].filter((c) => c !== undefined);
+
+  if (checks.includes(false)) return 0;
+  return checks.includes(null) ? UNKNOWN_HOURS_SCORE : 1;
+}
+
+/**
+ * The lowest average rating an intent accepts ("highly rated" means HIGHLY_RATED_MIN).
+ * @returns {number} - 0 when the intent says nothing about ratings
+ */
+export const ratingFloor = ({ minRating, highlyRated }) =>
+  Math.max(minRating || 0, highlyRated ? HIGHLY_RATED_MIN : 0);
+
+export function scoreRating(r, intent) {
+  const floor = ratingFloor(intent);
+  // Unrated places can't be shown as "4 stars and above"
+  if (r.averageRating === null || r.averageRating === undefined || r.averageRating < floor) return 0;
+  // Ranked by the review-count-weighted score: 4.8 from 200 reviews beats 5.0 from one
+  const weighted = r.ratingScore ?? r.averageRating;
+  const headroom = Math.max(5 - floor, 0.5);
+  return 0.5 + 0.5 * Math.min(1, Math.max(0, (weighted - floor) / headroom));
+}
+
+export function scoreOffer(validOffers, offerType) {
+  return validOffers.some((o) => offerMatches(o, offerType)) ? 1 : 0;
+}
+
+export function scoreKeywords(r, keywords) {
+  const hits = keywords.filter((k) => matchesKeyword(r, k)).length;
+  return hits / keywords.length;
+}
+
+/**
+ * Distance from the searcher, when both sides have coordinates.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {{ lat: number, lng: number } | null} origin
+ * @returns {number|null} - Kilometres, rounded to 10 m
+ */
+export function distanceFrom(r, origin) {
+  const coords = toCoords(r.coords?.lat, r.coords?.lng);
+  if (!origin || !coords) return null;
+  return Math.round(haversineKm(origin, coords) * 100) / 100;
+}
+
+/**
+ * Score a search-index entry against an extracted intent.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {Object} intent - { place, cuisines, dishes, dietary, vibe, vibeAlternatives, seating, minBudget, maxBudget, people, keywords }
+ *   and `openNow`, `openAfter`, `mealtime`, `minRating`, `highlyRated`, `hasOffer`, `offerType`, plus
+ *   request context: `origin` (searcher coords), `radiusKm`, `now` and `date` (the day offers must be
+ *   valid on, YYYY-MM-DD; defaults to the restaurant's today), and the relaxation hints
+ *   `nearbyPlaces`, `placeOrigin`, `placeRadiusKm`
+ * @returns {{ matches: boolean, score: number, scoreBreakdown: Object,
+ *   distanceKm: number|null, isOpenNow: boolean|null, offers: Array<Object>, matchingDishes?: Array<Object>,
+ *   matchingSections?: Array<Object>, tableSetup?: Object|null,
+ *   dietaryMatches?: Object<string, { dishes: number, restaurantWide: boolean }> }}
+ */
+export function scoreRestaurant(r, intent = {}) {
+  const { place, vibe, minBudget, maxBudget, people, origin, radiusKm } = intent;
+  const cuisines = (intent.cuisines?.length ? intent.cuisines : [intent.cuisine]).filter(Boolean);
+  const { openNow, openAfter, mealtime, now = new Date() } = intent;
+  const keywords = (intent.keywords || []).filter((k) => normalizeText(k));
+  const distanceKm = distanceFrom(r, origin);
+  const dishes = (intent.dishes || []).filter((d) => normalizeText(d));
+  const diets = intent.dietary || [];
+  const dietMatch = diets.length ? dietaryMatches(r, diets) : null;
+  let dishMatch = dishes.length ? matchDishes(r, dishes) : null;
+  // "vegan burger": only burgers that are vegan count
+  if (dishMatch && diets.length) {
+    const items = dishMatch.items.filter((d) => dishSuits(d, diets, r.dietaryVenue));
+    dishMatch = { strength: items.length ? dishMatch.strength : 0, items };
+  }
+  // The query names a dish: the budget is about that dish, not the average bill
+  const dishPrices = (dishMatch?.items || []).map((d) => d.price).filter((p) => p !== null);
+  const cost = dishPrices.length ? Math.min(...dishPrices) : Number(r.averageCost || 0);
+  const validOffers = offersValidOn(r, intent.date, now);
+  const isOpenNow = isOpenAt(r, null, now);
+  const sectionMatch = intent.seating ? matchSections(r, intent.seating, people) : null;
+  const setup = people ? tableSetupFor(r, people, sectionMatch?.fits ? sectionMatch.sections : null) : undefined;
+
+  const fields = {
+    place: place ? scorePlace(r, intent) : null,
+    cuisine: cuisines.length ? scoreCuisine(r, cuisines) : null,
+    dish: dishes.length ? scoreDish(r, dishes, dishMatch) : null,
+    dietary: diets.length ? scoreDietary(r, diets, dietMatch) : null,
+    vibe: vibe ? scoreVibe(r, vibe, intent.vibeAlternatives) : null,
+    seating: intent.seating ? scoreSeating(r, intent.seating, people, sectionMatch) : null,
+    budget: maxBudget || minBudget ? scoreBudget(r, maxBudget, minBudget, cost) : null,
+    people: people ? scorePeople(r, people, setup) : null,
+    keywords: keywords.length ? scoreKeywords(r, keywords) : null,
+    distance: origin && radiusKm ? scoreDistance(r, distanceKm, radiusKm) : null,
+    hours: openNow || openAfter || mealtime ? scoreHours(r, { openNow, openAfter, mealtime, now, isOpenNow }) : null,
+    rating: ratingFloor(intent) ? scoreRating(r, intent) : null,
+    offer: intent.hasOffer || intent.offerType ? scoreOffer(validOffers, intent.offerType) : null,
+  };
+
+  const scoreBreakdown = {};
+  let score = 0;
+  let matches = true;
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) continue;
+    if (value === 0) matches = false;
+    const weighted = Math.round(value * SCORE_WEIGHTS[field] * 100) / 100;
+    scoreBreakdown[field] = weighted;
+    score += weighted;
+  }
+
+  return {
+    matches,
+    score: Math.round(score * 100) / 100,
+    scoreBreakdown,
+    distanceKm,
+    isOpenNow,
+    // Only what's valid on the day searched for; the index also keeps upcoming offers
+    offers: validOffers,
+    ...(dishMatch && { matchingDishes: matchingDishes(dishMatch.items, maxBudget) }),
+    ...(dietMatch && { dietaryMatches: dietMatch }),
+    ...(sectionMatch && { matchingSections: sectionMatch.sections }),
+    ...(setup !== undefined && { tableSetup: setup }),
+  };
+}
+
+// Matching dishes to show with a result: those within budget when there is one
+function matchingDishes(items, maxBudget) {
+  const affordable = maxBudget ? items.filter((d) => d.price === null || d.price <= maxBudget) : items;
+  return (affordable.length ? affordable : items)
+    .slice(0, MAX_MATCHING_DISHES)
+    .map(({ name, price, category, dietaryTags }) => ({ name, price, category, dietaryTags }));
+}
+
+/**
+ * Sort order for ranked results: best score first, then name, then id.
+ * Used for both ranking and pagination cursors, so it must stay total.
+ * @returns {number}
+ */
+export const compareRanked = (a, b) =>
+  b.score - a.score ||
+  String(a.restaurantName || "").localeCompare(String(b.restaurantName || "")) ||
+  String(a.restaurantId || "").localeCompare(String(b.restaurantId || ""));
+
+/**
+ * Sort order for `sort: "distance"`: nearest first, restaurants without
+ * coordinates last, then the usual relevance order.
+ * @returns {number}
+ */
+export const compareByDistance = (a, b) =>
+  (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) || compareRanked(a, b);
+
+/**
+ * Sort order for `sort: "rating"`: best review-weighted rating first
+ * (unrated last), then the usual relevance order.
+ * @returns {number}
+ */
+export const compareByRating = (a, b) =>
+  (b.ratingScore ?? -Infinity) - (a.ratingScore ?? -Infinity) || compareRanked(a, b);
+
+/**
+ * Keep the candidates that satisfy every requested field and sort them by
+ * score (best first). Ties fall back to name, then id, so the order is stable.
+ * @param {Array<Object>} candidates - `restaurants_search` documents
+ * @param {Object} intent - Extracted search intent
+ * @param {Function} [compare] - compareRanked (default) or compareByDistance
+ * @returns {Array<Object>} - Candidates with `score`, `scoreBreakdown`, `distanceKm` and `isOpenNow`
+ */
+export function rankRestaurants(candidates, intent, compare = compareRanked) {
+  const ranked = [];
+  for (const r of candidates) {
+    const { matches, ...scored } = scoreRestaurant(r, intent);
+    // Object.assign into a fresh object: `{ ...r, ...scored }` was a few times
+    // slower per candidate on index-sized docs (npm run bench:search)
+    if (matches) ranked.push(Object.assign({}, r, scored));
+  }
+  return ranked.sort(compare);
+}
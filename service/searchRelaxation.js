@@ -0,0 +1,157 @@
+// service/searchRelaxation.js
+import { rankRestaurants, scorePlace, ratingFloor } from "./searchRanking.js";
+import { normalizeText } from "./textUtils.js";
+import { centroid, toCoords } from "./geo.js";
+
+/**
+ * Neighbouring areas tried when a place yields nothing.
+ * Keys and values are normalized area names.
+ */
+export const NEARBY_AREAS = {
+  kilimani: ["kileleshwa", "lavington", "hurlingham", "yaya", "upper hill"],
+  kileleshwa: ["kilimani", "lavington", "westlands"],
+  lavington: ["kilimani", "kileleshwa", "westlands", "valley arcade"],
+  hurlingham: ["kilimani", "upper hill", "ngong road"],
+  westlands: ["parklands", "spring valley", "kileleshwa", "lavington"],
+  parklands: ["westlands", "highridge", "ngara"],
+  "upper hill": ["kilimani", "hurlingham", "cbd"],
+  cbd: ["upper hill", "ngara", "river road"],
+  karen: ["langata", "hardy", "ngong road"],
+  langata: ["karen", "south c", "nairobi west"],
+  "south c": ["south b", "langata", "nairobi west"],
+  "south b": ["south c", "industrial area"],
+  runda: ["gigiri", "muthaiga", "ridgeways"],
+  gigiri: ["runda", "muthaiga", "village market"],
+  muthaiga: ["gigiri", "runda", "parklands"],
+  kasarani: ["roysambu", "thika road"],
+  roysambu: ["kasarani", "thika road"],
+};
+
+/** Allowed overshoot of the stated budget once budget is relaxed. */
+export const BUDGET_TOLERANCE = 0.25;
+
+/** How far the minimum rating drops once rating is relaxed (4 → 3.5). */
+export const RATING_TOLERANCE = 0.5;
+
+/** How far from an area's centre a restaurant may sit once place is relaxed. */
+export const NEARBY_RADIUS_KM = 2;
+
+// Centre of the restaurants that sit in `place` by name, from indexed coords
+function placeCentre(place, candidates) {
+  const points = candidates
+    .filter((r) => scorePlace(r, { place }) >= 0.8)
+    .map((r) => toCoords(r.coords?.lat, r.coords?.lng))
+    .filter(Boolean);
+  return centroid(points);
+}
+
+/**
+ * Fallback ladder, least important constraint first. Each step gets the
+ * current intent and the candidates, and returns the loosened intent plus a
+ * note for the response, or null when it doesn't apply. Dietary needs are
+ * never loosened: a "nearly nut free" result is worse than none.
+ */
+export const RELAXATION_STEPS = [
+  (intent) =>
+    intent.keywords?.length
+      ? { intent: { ...intent, keywords: [] }, note: { constraint: "keywords", action: "dropped", from: intent.keywords } }
+      : null,
+  (intent) =>
+    intent.vibe
+      ? { intent: { ...intent, vibe: "" }, note: { constraint: "vibe", action: "dropped", from: intent.vibe } }
+      : null,
+  (intent) =>
+    intent.seating
+      ? { intent: { ...intent, seating: null }, note: { constraint: "seating", action: "dropped", from: intent.seating } }
+      : null,
+  (intent) =>
+    intent.hasOffer || intent.offerType
+      ? {
+          intent: { ...intent, hasOffer: false, offerType: null },
+          note: { constraint: "offer", action: "dropped", from: intent.offerType || "any" },
+        }
+      : null,
+  (intent) => {
+    const floor = ratingFloor(intent);
+    if (!floor) return null;
+    const minRating = Math.max(1, floor - RATING_TOLERANCE);
+    return {
+      intent: { ...intent, minRating, highlyRated: false },
+      note: { constraint: "rating", action: "loosened", from: floor, to: minRating },
+    };
+  },
+  (intent) => {
+    if (!intent.maxBudget && !intent.minBudget) return null;
+    const maxBudget = intent.maxBudget ? Math.round(intent.maxBudget * (1 + BUDGET_TOLERANCE)) : null;
+    const minBudget = intent.minBudget ? Math.round(intent.minBudget * (1 - BUDGET_TOLERANCE)) : null;
+    return {
+      intent: { ...intent, maxBudget, minBudget },
+      note: {
+        constraint: "budget",
+        action: "loosened",
+        from: { min: intent.minBudget || null, max: intent.maxBudget || null },
+        to: { min: minBudget, max: maxBudget },
+      },
+    };
+  },
+  (intent, candidates) => {
+    if (!intent.place) return null;
+    const nearby = NEARBY_AREAS[normalizeText(intent.place)] || [];
+    const placeOrigin = placeCentre(intent.place, candidates);
+    if (!nearby.length && !placeOrigin) return null;
+    return {
+      intent: {
+        ...intent,
+        nearbyPlaces: nearby,
+        ...(placeOrigin && { placeOrigin, placeRadiusKm: NEARBY_RADIUS_KM }),
+      },
+      note: {
+        constraint: "place",
+        action: "expanded",
+        from: intent.place,
+        to: nearby,
+        ...(placeOrigin && { withinKm: NEARBY_RADIUS_KM }),
+      },
+    };
+  },
+  // Last resort: "the best italian" still shows the italian places when none
+  // is rated highly enough (or rated at all)
+  (intent) => {
+    const floor = ratingFloor(intent);
+    if (!floor) return null;
+    return {
+      intent: { ...intent, minRating: null, highlyRated: false },
+      note: { constraint: "rating", action: "dropped", from: floor },
+    };
+  },
+];
+
+/**
+ * Rank candidates, loosening the intent step by step until something matches.
+ * @param {Array<Object>|Function} candidates - `restaurants_search` documents,
+ *   or `(intent) => documents` to narrow them per intent (see
+ *   searchEngine.candidates); called with `{}` for the unnarrowed set
+ * @param {Object} intent - Extracted search intent
+ * @param {Function} [compare] - Sort order, see rankRestaurants
+ * @returns {{ restaurants: Array<Object>, relaxed: Array<Object>, intent: Object }}
+ *   `relaxed` lists the constraints that had to be loosened, in order;
+ *   `intent` is the intent that produced the results.
+ */
+export function rankWithRelaxation(candidates, intent, compare) {
+  const candidatesFor = typeof candidates === "function" ? candidates : () => candidates;
+  let current = intent;
+  let restaurants = rankRestaurants(candidatesFor(current), current, compare);
+  const relaxed = [];
+
+  for (const step of RELAXATION_STEPS) {
+    if (restaurants.length) break;
+    const next = step(current, candidatesFor({}));
+    if (!next) continue;
+
+    current = next.intent;
+    relaxed.push(next.note);
+    restaurants = rankRestaurants(candidatesFor(current), current, compare);
+  }
+
+  return { restaurants, relaxed, intent: current };
+}
@@ -0,0 +1,98 @@
+// service/searchSessions.js
+import { randomUUID, timingSafeEqual } from "node:crypto";
+
+/** Idle sessions expire after this long; every turn pushes expiry out again. */
+export const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/** Oldest sessions are dropped beyond this many. */
+export const MAX_SESSIONS = 10000;
+
+/** Turns kept per session (older ones are dropped, the intent carries them). */
+export const MAX_SESSION_HISTORY = 20;
+
+/**
+ * In-memory store for conversational search sessions.
+ * @param {{ ttlMs?: number, maxSessions?: number, now?: () => number }} [options]
+ * @returns {{
+ *   create: (owner?: { uid?: string|null }) => Object,
+ *   get: (id: string) => Object|null,
+ *   update: (id: string, turn: { query: string, intent: Object, source: string }) => Object|null,
+ *   delete: (id: string) => boolean,
+ *   size: () => number,
+ * }}
+ */
+export function createSessionStore({ ttlMs = SESSION_TTL_MS, maxSessions = MAX_SESSIONS, now = Date.now } = {}) {
+  // Map keeps insertion order, so the first entries are the least recently used
+  const sessions = new Map();
+
+  const touch = (session) => {
+    session.expiresAt = now() + ttlMs;
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  const sweep = () => {
+    const t = now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= t) sessions.delete(id);
+    }
+    while (sessions.size >= maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  };
+
+  const get = (id) => {
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return touch(session);
+  };
+
+  return {
+    create({ uid = null } = {}) {
+      sweep();
+      const session = {
+        id: randomUUID(),
+        // Signed-in sessions belong to the user; anonymous ones to whoever holds the token
+        ownerId: uid,
+        token: uid ? null : randomUUID(),
+        intent: null,
+        history: [],
+        createdAt: new Date(now()).toISOString(),
+      };
+      return touch(session);
+    },
+
+    get,
+
+    update(id, { query, intent, source }) {
+      const session = get(id);
+      if (!session) return null;
+      session.intent = intent;
+      session.history.push({ query, source, at: new Date(now()).toISOString() });
+      if (session.history.length > MAX_SESSION_HISTORY) session.history.shift();
+      return session;
+    },
+
+    delete: (id) => sessions.delete(id),
+
+    size: () => sessions.size,
+  };
+}
+
+/**
+ * Is the caller the one who started the session? The signed-in user who
+ * created it, or for an anonymous session whoever sends its token.
+ * @param {Object} session
+ * @param {{ uid?: string|null, token?: string|null }} caller
+ * @returns {boolean}
+ */
+export function ownsSession(session, { uid = null, token = null }) {
+  if (session.ownerId) return uid === session.ownerId;
+  if (typeof token !== "string" || token.length !== session.token.length) return false;
+  return timingSafeEqual(Buffer.from(token), Buffer.from(session.token));
+}
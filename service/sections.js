@@ -0,0 +1,141 @@
+// service/sections.js
+import { normalizeText } from "./textUtils.js";
+import { summarizeCapacity } from "./tableCapacity.js";
+
+/** Seating areas search understands, with the phrases people use for each. */
+export const SEATING_SYNONYMS = {
+  "private room": ["private room", "private dining", "private area", "private space", "vip room", "vip"],
+  outdoor: ["outdoor", "outdoors", "outside seating", "sit outside", "open air", "al fresco", "alfresco", "patio"],
+  rooftop: ["rooftop", "roof top", "roof terrace", "skybar", "sky bar"],
+  garden: ["garden", "lawn", "courtyard"],
+  terrace: ["terrace", "deck", "veranda", "verandah"],
+  balcony: ["balcony"],
+  indoor: ["indoor", "indoors", "inside seating", "sit inside"],
+  bar: ["bar area", "bar seating", "counter"],
+  window: ["window seat", "window table", "by the window"],
+  lounge: ["lounge"],
+};
+
+export const SEATING_OPTIONS = Object.keys(SEATING_SYNONYMS);
+
+const SEATING_CANONICAL = Object.fromEntries(
+  Object.entries(SEATING_SYNONYMS).flatMap(([seating, phrases]) => phrases.map((p) => [p, seating]))
+);
+
+// Longest phrase first, so "roof terrace" is a rooftop and not a terrace
+const SEATING_PHRASES = Object.keys(SEATING_CANONICAL).sort((a, b) => b.length - a.length);
+
+// Whole phrase, singular or plural ("private rooms")
+const mentions = (text, phrase) => new RegExp(`\\b${phrase}s?\\b`).test(text);
+
+/**
+ * Canonical seating area for a phrase ("patio" → "outdoor"), or the phrase itself.
+ * @param {string} seating
+ * @returns {string}
+ */
+export const canonicalSeating = (seating) => {
+  const key = normalizeText(seating);
+  return SEATING_CANONICAL[key] || key;
+};
+
+/**
+ * Seating area asked for in free text.
+ * @param {string} text
+ * @returns {string|null} - e.g. "private room for 8" → "private room"
+ */
+export function extractSeatingFromText(text = "") {
+  const t = normalizeText(text);
+  const phrase = SEATING_PHRASES.find((p) => mentions(t, p));
+  return phrase ? SEATING_CANONICAL[phrase] : null;
+}
+
+// ---------------------
+// INDEXING
+// ---------------------
+
+// A table belongs to a section by id or, in older data, by name
+const tableSection = (t) => normalizeText(t.sectionId || t.section || t.sectionName || "");
+
+/**
+ * Sections of a restaurant for the index, with the seats of their tables.
+ * @param {Array<Object>} sections - `sections` docs ({ name, description })
+ * @param {Array<Object>} tables - `tables` docs ({ numSeats, sectionId | section })
+ * @returns {Array<{ id: string, name: string, description: string, tableCount: number,
+ *   seats: number, maxTableSeats: number, combinableSeats: number }>}
+ *   `seats` is every table in the section together; `maxTableSeats` the largest one;
+ *   `combinableSeats` the largest party the section takes with tables joined
+ */
+export function indexSections(sections = [], tables = []) {
+  return sections
+    .map((s) => {
+      const keys = [s.id, s.name].filter(Boolean).map(normalizeText);
+      const own = tables.filter((t) => keys.includes(tableSection(t)));
+      // Tables may name their section by id or by name; either way they're in this one
+      const capacity = summarizeCapacity(own.map((t) => ({ ...t, sectionId: s.id || s.name })), sections);
+      return {
+        id: s.id,
+        name: String(s.name || s.sectionName || ""),
+        description: String(s.description || ""),
+        tableCount: own.length,
+        seats: capacity.totalSeats,
+        maxTableSeats: capacity.maxSeats,
+        combinableSeats: capacity.combinableSeats,
+      };
+    })
+    .filter((s) => s.name);
+}
+
+/**
+ * Experiences of a restaurant for the index.
+ * @param {Array<Object>} experiences - `experiences` docs ({ name, description })
+ * @returns {Array<{ id: string, name: string, description: string }>}
+ */
+export const indexExperiences = (experiences = []) =>
+  experiences
+    .map((e) => ({ id: e.id, name: String(e.name || ""), description: String(e.description || "") }))
+    .filter((e) => e.name);
+
+// ---------------------
+// MATCHING
+// ---------------------
+
+// Does a section (or any name/description) describe the seating area?
+function describesSeating(texts, seating) {
+  const phrases = SEATING_SYNONYMS[seating] || [seating];
+  return texts.some((text) => {
+    const t = normalizeText(text);
+    if (phrases.some((p) => mentions(t, p))) return true;
+    // "Private dining room" for "private room": every word is there
+    return seating.split(" ").every((w) => mentions(t, w));
+  });
+}
+
+/**
+ * Sections of a restaurant matching a seating area, and whether a party fits.
+ * @param {Object} r - A `restaurants_search` document
+ * @param {string} seating - Canonical seating area
+ * @param {number|null} [people]
+ * @returns {{ sections: Array<Object>, fits: boolean|null }}
+ *   `fits` is null when no matching section says how many it seats
+ */
+export function matchSections(r, seating, people = null) {
+  const sections = (r.sections || []).filter((s) => describesSeating([s.name, s.description], seating));
+  if (!people) return { sections, fits: sections.length ? true : null };
+  const known = sections.filter((s) => s.tableCount);
+  const fitting = known.filter((s) => Math.max(s.maxTableSeats, s.combinableSeats || 0) >= people);
+  if (fitting.length) return { sections: fitting, fits: true };
+  return { sections, fits: known.length ? false : null };
+}
+
+/**
+ * Does the restaurant mention the seating area anywhere else (vibes,
+ * amenities, experiences), without saying where or how many it seats?
+ * @param {Object} r
+ * @param {string} seating
+ * @returns {boolean}
+ */
+export const mentionsSeating = (r, seating) =>
+  describesSeating(
+    [...(r.vibes || []), ...(r.amenities || []), ...(r.experiences || []).flatMap((e) => [e.name, e.description])],
+    seating
+  );
@@ -0,0 +1,246 @@
+// service/synonyms.js
+import { normalizeText, normalizeCuisine } from "./textUtils.js";
+import { KNOWN_AREAS, KNOWN_CUISINES, KNOWN_VIBES } from "./vocabulary.js";
+
+/** Other names and common misspellings for areas → the name used in the index. */
+export const AREA_ALIASES = {
+  westland: "westlands",
+  "west lands": "westlands",
+  kili: "kilimani",
+  lavi: "lavington",
+  upperhill: "upper hill",
+  "city centre": "cbd",
+  "city center": "cbd",
+  downtown: "cbd",
+  "central business district": "cbd",
+  southc: "south c",
+  southb: "south b",
+  "lang'ata": "langata",
+  "ngong rd": "ngong road",
+  "thika rd": "thika road",
+  nrb: "nairobi",
+  msa: "mombasa",
+};
+
+/** Spelling variants of the same cuisine → one canonical label. */
+export const CUISINE_ALIASES = {
+  "sea food": "seafood",
+  "sea foods": "seafood",
+  barbecue: "bbq",
+  barbeque: "bbq",
+  "bar b q": "bbq",
+  burgers: "burger",
+  pizzas: "pizza",
+  choma: "nyama choma",
+  "middle east": "middle eastern",
+  arab: "arabic",
+  oriental: "asian",
+  "fast foods": "fast food",
+};
+
+/** Broad cuisines that stand for a family of specific ones. */
+export const CUISINE_FAMILIES = {
+  asian: ["chinese", "japanese", "thai", "korean", "vietnamese", "sushi"],
+  african: ["kenyan", "ethiopian", "swahili", "nyama choma"],
+  "middle eastern": ["lebanese", "turkish", "arabic"],
+  mediterranean: ["italian", "greek", "lebanese", "turkish"],
+  continental: ["italian", "french"],
+  "fast food": ["burger", "pizza"],
+};
+
+/** Canonical vibe → phrases people use for it. */
+export const VIBE_SYNONYMS = {
+  romantic: ["date night", "date", "intimate", "candle lit", "candlelit", "anniversary"],
+  family: ["kid friendly", "kids", "child friendly", "family friendly"],
+  casual: ["chill", "laid back", "relaxed"],
+  "fine dining": ["upscale", "classy", "fancy", "posh", "elegant"],
+  lively: ["buzzing", "vibrant", "fun"],
+  quiet: ["calm", "peaceful"],
+  cozy: ["cosy", "homely"],
+  outdoor: ["outside", "open air", "al fresco", "alfresco", "outdoor seating"],
+  sports: ["sports bar", "watch the game"],
+};
+
+const VIBE_CANONICAL = Object.fromEntries(
+  Object.entries(VIBE_SYNONYMS).flatMap(([vibe, phrases]) => phrases.map((p) => [p, vibe]))
+);
+
+// ---------------------
+// EDIT DISTANCE
+// ---------------------
+
+/**
+ * Levenshtein distance, giving up once it must exceed `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max]
+ * @returns {number} - The distance, or max + 1 when further apart than that
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Typos tolerated for a term of this length: none for short words (too
+ * many false friends), one from 5 letters, two from 8.
+ * @param {string} term
+ * @returns {number}
+ */
+export const typoAllowance = (term) => (term.length >= 8 ? 2 : term.length >= 5 ? 1 : 0);
+
+/**
+ * Closest vocabulary term within the typo allowance.
+ * @param {string} term - Normalized
+ * @param {Iterable<string>} vocabulary - Normalized terms
+ * @returns {string|null}
+ */
+export function closestTerm(term, vocabulary) {
+  const max = typoAllowance(term);
+  if (!max) return null;
+  let best = null;
+  let bestDistance = max + 1;
+  for (const candidate of vocabulary) {
+    const d = editDistance(term, candidate, max);
+    if (d < bestDistance || (d === bestDistance && best !== null && candidate < best)) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return bestDistance <= max ? best : null;
+}
+
+// ---------------------
+// CANONICAL FORMS
+// ---------------------
+
+/**
+ * Canonical cuisine label, for both the index and queries
+ * ("Sea Food" → "seafood", "Barbecue" → "bbq").
+ * @param {string} cuisine
+ * @returns {string}
+ */
+export function canonicalCuisine(cuisine) {
+  // Aliases are checked before and after dropping "food" ("sea food", "barbecue food")
+  const key = normalizeText(cuisine).replace(/-/g, " ");
+  const stripped = normalizeCuisine(CUISINE_ALIASES[key] || key);
+  return CUISINE_ALIASES[stripped] || stripped;
+}
+
+// CUISINE_FAMILIES keyed and listed by canonical label ("fast food" → "fast")
+const FAMILIES = Object.fromEntries(
+  Object.entries(CUISINE_FAMILIES).map(([family, members]) => [
+    canonicalCuisine(family),
+    members.map(canonicalCuisine),
+  ])
+);
+
+/**
+ * Canonical vibe for a synonym ("date night" → "romantic"), or the vibe itself.
+ * @param {string} vibe
+ * @returns {string}
+ */
+export const canonicalVibe = (vibe) => {
+  const key = normalizeText(vibe);
+  return VIBE_CANONICAL[key] || key;
+};
+
+// ---------------------
+// INTENT RESOLUTION
+// ---------------------
+
+const note = (field, from, to, via) => ({
+  field,
+  from,
+  to,
+  via,
+  message: `matched "${from}" as ${Array.isArray(to) ? to.map((t) => `"${t}"`).join(", ") : `"${to}"`}`,
+});
+
+function resolvePlace(place, areas) {
+  const key = normalizeText(place);
+  if (AREA_ALIASES[key]) return { value: AREA_ALIASES[key], match: note("place", place, AREA_ALIASES[key], "alias") };
+  if (areas.has(key)) return { value: key };
+  const typo = closestTerm(key, areas);
+  return typo ? { value: typo, match: note("place", place, typo, "typo") } : { value: key };
+}
+
+function resolveCuisine(cuisine, cuisines) {
+  let value = canonicalCuisine(cuisine);
+  let match = value !== normalizeCuisine(cuisine) ? note("cuisine", cuisine, value, "alias") : null;
+  if (!FAMILIES[value] && !cuisines.has(value)) {
+    const typo = closestTerm(value, cuisines);
+    if (typo) {
+      value = typo;
+      match = note("cuisine", cuisine, typo, "typo");
+    }
+  }
+  const family = FAMILIES[value];
+  // "asian" also finds restaurants that call themselves asian
+  if (family) return { values: [value, ...family], match: note("cuisine", cuisine, family, "family") };
+  return { values: [value], match };
+}
+
+function resolveVibe(vibe) {
+  const key = normalizeText(vibe);
+  const canonical = VIBE_CANONICAL[key];
+  if (canonical) return { value: canonical, alternatives: [key], match: note("vibe", vibe, canonical, "synonym") };
+  if (KNOWN_VIBES.includes(key) || VIBE_SYNONYMS[key]) return { value: key, alternatives: [] };
+  const typo = closestTerm(key, [...KNOWN_VIBES, ...Object.keys(VIBE_CANONICAL)]);
+  if (!typo) return { value: key, alternatives: [] };
+  const value = VIBE_CANONICAL[typo] || typo;
+  return { value, alternatives: typo !== value ? [typo] : [], match: note("vibe", vibe, value, "typo") };
+}
+
+/**
+ * Rewrite an intent's place, cuisines and vibe to what the index calls them:
+ * aliases, cuisine families, vibe synonyms and typo-tolerant matches.
+ * @param {Object} intent
+ * @param {{ areas?: Iterable<string>, cuisines?: Iterable<string> }} [indexTerms]
+ *   Area and cuisine names present in the index, on top of the built-in vocabulary
+ * @returns {{ intent: Object, matched: Array<{ field: string, from: string,
+ *   to: string|string[], via: string, message: string }> }}
+ */
+export function resolveSearchTerms(intent, { areas = [], cuisines = [] } = {}) {
+  const resolved = { ...intent };
+  const matched = [];
+
+  if (intent.place) {
+    const { value, match } = resolvePlace(intent.place, new Set([...KNOWN_AREAS, ...areas]));
+    resolved.place = value;
+    if (match) matched.push(match);
+  }
+
+  const requested = (intent.cuisines?.length ? intent.cuisines : [intent.cuisine]).filter(Boolean);
+  if (requested.length) {
+    const vocabulary = new Set([...KNOWN_CUISINES.map(canonicalCuisine), ...cuisines]);
+    const values = [];
+    for (const c of requested) {
+      const { values: found, match } = resolveCuisine(c, vocabulary);
+      values.push(...found);
+      if (match) matched.push(match);
+    }
+    resolved.cuisines = [...new Set(values)];
+    resolved.cuisine = resolved.cuisines[0];
+  }
+
+  if (intent.vibe) {
+    const { value, alternatives, match } = resolveVibe(intent.vibe);
+    resolved.vibe = value;
+    if (alternatives.length) resolved.vibeAlternatives = alternatives;
+    if (match) matched.push(match);
+  }
+
+  return { intent: resolved, matched };
+}
@@ -0,0 +1,128 @@
+// service/tableCapacity.js
+import { normalizeText } from "./textUtils.js";
+
+/** Most tables pushed together for one party. */
+export const MAX_JOINED_TABLES = 4;
+
+// ---------------------
+// TABLES
+// ---------------------
+
+const sectionKey = (t) => normalizeText(t.sectionId || t.section || t.sectionName || "");
+
+/**
+ * The parts of a `tables` doc the capacity model needs, with the
+ * combination rules applied:
+ * - tables are only joined within one section (tables without one share the main floor)
+ * - a table with `joinable: false`, or in a section with `allowJoining: false`, is never joined
+ * - a table with `joinableWith: [ids]` is only joined with those tables
+ * Already-normalized tables (as stored in the index) come back unchanged.
+ * @param {Array<Object>} tables - `tables` docs
+ * @param {Array<Object>} [sections] - `sections` docs
+ * @returns {Array<{ id: string, name: string, numSeats: number, section: string,
+ *   joinable: boolean, joinableWith: string[]|null }>}
+ */
+export function capacityTables(tables = [], sections = []) {
+  const closed = new Set(
+    sections.filter((s) => s.allowJoining === false).flatMap((s) => [s.id, s.name].filter(Boolean).map(normalizeText))
+  );
+  return tables
+    .map((t) => {
+      const section = sectionKey(t);
+      return {
+        id: t.id,
+        name: String(t.name || t.tableNumber || ""),
+        numSeats: Number(t.numSeats || 0),
+        section,
+        joinable: t.joinable !== false && t.combinable !== false && !closed.has(section),
+        joinableWith: Array.isArray(t.joinableWith) ? t.joinableWith : null,
+      };
+    })
+    .filter((t) => t.numSeats > 0);
+}
+
+/**
+ * Can two tables be pushed together?
+ * @param {Object} a - From capacityTables
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export const canJoin = (a, b) =>
+  a.section === b.section &&
+  a.joinable &&
+  b.joinable &&
+  (!a.joinableWith || a.joinableWith.includes(b.id)) &&
+  (!b.joinableWith || b.joinableWith.includes(a.id));
+
+// ---------------------
+// SETUPS
+// ---------------------
+
+const seatsOf = (tables) => tables.reduce((sum, t) => sum + t.numSeats, 0);
+
+// Grow a setup from one table by joining neighbours: the smallest that
+// closes the gap when there is one, else the largest, until the party fits
+function growSetup(start, pool, people, maxTables) {
+  const setup = [start];
+  while (seatsOf(setup) < people && setup.length < maxTables) {
+    const next = pool.filter((t) => !setup.includes(t) && setup.some((s) => canJoin(s, t)));
+    if (!next.length) break;
+    const gap = people - seatsOf(setup);
+    const closing = next.filter((t) => t.numSeats >= gap).sort((a, b) => a.numSeats - b.numSeats);
+    setup.push(closing[0] || next.sort((a, b) => b.numSeats - a.numSeats)[0]);
+  }
+  return setup;
+}
+
+const describeSetup = (tables) => ({
+  tableIds: tables.map((t) => t.id),
+  tables: tables.map(({ id, name, numSeats }) => ({ id, name, numSeats })),
+  seats: seatsOf(tables),
+  joined: tables.length > 1,
+  section: tables[0].section || null,
+});
+
+/**
+ * The table setup a party would get: the smallest single table that seats
+ * it, otherwise the fewest joinable tables (then the fewest empty seats).
+ * @param {Array<Object>} tables - `tables` docs or capacityTables output
+ * @param {number} people
+ * @param {{ sections?: Array<Object>, exclude?: Set<string>, maxTables?: number }} [options]
+ *   `exclude` holds ids of tables already taken
+ * @returns {{ tableIds: string[], tables: Array<Object>, seats: number, joined: boolean,
+ *   section: string|null } | null} - Null when the party doesn't fit
+ */
+export function findTableSetup(tables, people, { sections = [], exclude = new Set(), maxTables = MAX_JOINED_TABLES } = {}) {
+  const free = capacityTables(tables, sections).filter((t) => !exclude.has(t.id));
+
+  const single = free.filter((t) => t.numSeats >= people).sort((a, b) => a.numSeats - b.numSeats)[0];
+  if (single) return describeSetup([single]);
+
+  let best = null;
+  for (const start of free.filter((t) => t.joinable)) {
+    const setup = growSetup(start, free, people, maxTables);
+    if (seatsOf(setup) < people) continue;
+    if (!best || setup.length < best.length || (setup.length === best.length && seatsOf(setup) < seatsOf(best))) {
+      best = setup;
+    }
+  }
+  return best ? describeSetup(best) : null;
+}
+
+/**
+ * Seating capacity for the search index.
+ * @param {Array<Object>} tables - `tables` docs or capacityTables output
+ * @param {Array<Object>} [sections]
+ * @returns {{ maxSeats: number, totalSeats: number, combinableSeats: number }}
+ *   `maxSeats` is the largest single table, `totalSeats` every table together,
+ *   `combinableSeats` the largest party one setup (joined tables included) takes
+ */
+export function summarizeCapacity(tables = [], sections = []) {
+  const all = capacityTables(tables, sections);
+  const maxSeats = all.reduce((max, t) => Math.max(max, t.numSeats), 0);
+  const combinableSeats = all.reduce(
+    (max, t) => Math.max(max, t.joinable ? seatsOf(growSetup(t, all, Infinity, MAX_JOINED_TABLES)) : t.numSeats),
+    0
+  );
+  return { maxSeats, totalSeats: seatsOf(all), combinableSeats };
+}
@@ -0,0 +1,40 @@
+// service/textUtils.js
+
+/**
+ * Lowercase, trim and collapse whitespace so free text can be compared.
+ * Underscores are treated as spaces (e.g. "fast_food" → "fast food").
+ * @param {*} s - Any value; non-strings are stringified
+ * @returns {string}
+ */
+export const normalizeText = (s) =>
+  s
+    ? String(s)
+        .toLowerCase()
+        .replace(/_/g, " ")
+        .replace(/\s*,\s*/g, ",") // remove spaces around commas
+        .replace(/\s+/g, " ") // collapse multiple spaces
+        .trim()
+    : "";
+
+/**
+ * Normalize a cuisine label, dropping filler words like "food" or "cuisine".
+ * @param {*} s - Cuisine label, e.g. "Italian_Food"
+ * @returns {string} - e.g. "italian"
+ */
+export const normalizeCuisine = (s) =>
+  normalizeText(s)
+    .replace(/\bfood\b|\bcuisine\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * True when `needle` appears in `haystack` as a whole word or phrase.
+ * @param {string} haystack - Normalized text
+ * @param {string} needle - Normalized text
+ * @returns {boolean}
+ */
+export const containsWord = (haystack, needle) => {
+  if (!haystack || !needle) return false;
+  const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(haystack);
+};
@@ -0,0 +1,117 @@
+// service/vocabulary.js
+import { NEARBY_AREAS } from "./searchRelaxation.js";
+
+/** Areas the offline parser recognises as a place. */
+export const KNOWN_AREAS = [
+  ...new Set([
+    ...Object.keys(NEARBY_AREAS),
+    ...Object.values(NEARBY_AREAS).flat(),
+    "nairobi",
+    "kiambu",
+    "ruaka",
+    "rongai",
+    "kitengela",
+    "syokimau",
+    "mombasa",
+    "nyali",
+    "diani",
+    "kisumu",
+    "nakuru",
+    "naivasha",
+    "eldoret",
+    "thika",
+  ]),
+];
+
+/** Cuisines the offline parser recognises. */
+export const KNOWN_CUISINES = [
+  "italian",
+  "chinese",
+  "indian",
+  "japanese",
+  "thai",
+  "korean",
+  "vietnamese",
+  "ethiopian",
+  "kenyan",
+  "swahili",
+  "african",
+  "nyama choma",
+  "seafood",
+  "pizza",
+  "burger",
+  "sushi",
+  "french",
+  "mexican",
+  "lebanese",
+  "turkish",
+  "middle eastern",
+  "mediterranean",
+  "american",
+  "continental",
+  "fast food",
+  "bbq",
+  "steak",
+  "vegetarian",
+  "vegan",
+  "asian",
+  "arabic",
+];
+
+/** Dishes the offline parser recognises (searched on menus, not cuisines). */
+export const KNOWN_DISHES = [
+  "nyama choma",
+  "kuku choma",
+  "pilau",
+  "biryani",
+  "ugali",
+  "chapati",
+  "samosa",
+  "mandazi",
+  "githeri",
+  "mukimo",
+  "matumbo",
+  "mutura",
+  "tilapia",
+  "fish",
+  "chicken",
+  "wings",
+  "ribs",
+  "steak",
+  "burger",
+  "pizza",
+  "pasta",
+  "sushi",
+  "ramen",
+  "curry",
+  "shawarma",
+  "tacos",
+  "fries",
+  "chips",
+  "salad",
+  "soup",
+  "pancakes",
+  "coffee",
+  "cocktails",
+];
+
+/** Vibes the offline parser recognises. */
+export const KNOWN_VIBES = [
+  "romantic",
+  "family",
+  "kid friendly",
+  "chill",
+  "rooftop",
+  "outdoor",
+  "garden",
+  "lively",
+  "quiet",
+  "cozy",
+  "live music",
+  "sports",
+  "business",
+  "fine dining",
+  "casual",
+  "lounge",
+  "date night",
+];